@@ -0,0 +1,32 @@
+// Маршрутизатор обновлений: шаги сессии (session.step) и префиксы callback_data
+// регистрируются отдельными обработчиками вместо длинной цепочки if.
+//
+// Шаблон — точное значение ("ex_name") или префикс со звёздочкой ("exc:*", "adm_ev_*").
+// Маршруты проверяются в порядке регистрации. Обработчик, вернувший false,
+// передаёт обновление следующему подходящему маршруту (например, шаг ждёт текст только от автора).
+export function createRouter() {
+  const routes = [];
+
+  function matches(pattern, key) {
+    return pattern.endsWith("*") ? key.startsWith(pattern.slice(0, -1)) : key === pattern;
+  }
+
+  const router = {
+    // on("msg:stop", handler) / on(["confirm:*", "cancel:*"], handler)
+    on(patterns, handler) {
+      for (const pattern of [].concat(patterns)) routes.push({ pattern, handler });
+      return router;
+    },
+
+    // true — обновление обработано; false — ни один маршрут не взял его
+    async dispatch(key, ...args) {
+      if (typeof key !== "string" || !key) return false;
+      for (const route of routes) {
+        if (!matches(route.pattern, key)) continue;
+        if ((await route.handler(...args)) !== false) return true;
+      }
+      return false;
+    },
+  };
+  return router;
+}
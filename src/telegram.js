@@ -0,0 +1,23 @@
+// Клиент Bot API. Бот получает его через createBot(env, { telegram }),
+// тесты подставляют фейковый API с тем же интерфейсом (test/support/fake-telegram.js).
+// Оба метода возвращают { ok, status, body } и не бросают на ошибках Telegram.
+export function createTelegramApi(token, { fetch: fetchImpl } = {}) {
+  const base = `https://api.telegram.org/bot${token}`;
+
+  async function post(method, init) {
+    const res = await (fetchImpl || fetch)(`${base}/${method}`, { method: "POST", ...init });
+    const body = await res.text().catch(() => "");
+    return { ok: res.ok, status: res.status, body };
+  }
+
+  return {
+    // JSON-запрос: sendMessage, editMessageText, answerCallbackQuery, ...
+    call(method, payload) {
+      return post(method, { headers: { "content-type": "application/json" }, body: JSON.stringify(payload) });
+    },
+    // multipart/form-data — файлы из памяти (sendDocument)
+    upload(method, form) {
+      return post(method, { body: form });
+    },
+  };
+}
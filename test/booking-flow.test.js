@@ -0,0 +1,252 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { createTestBot, OWNER_ID, STAFF_CHAT_ID } from "./support/harness.js";
+
+// 19.10.2026 10:00 по времени фермы: утренний слот 11:30 ещё открыт
+const NOW = Date.parse("2026-10-19T07:00:00Z");
+
+function loadFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/${name}.json`, import.meta.url), "utf8"));
+}
+
+// Часы фермы стоят на NOW; журнал воркера (INCOMING, TG_ERROR, ...) в выводе тестов не нужен
+function setup(t) {
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+  t.mock.method(console, "log", () => {});
+  return createTestBot();
+}
+
+async function getBookings(env) {
+  const ids = (await env.BOOKINGS.json("idx:date:2026-10-19"))?.ids || [];
+  return Promise.all(ids.map((id) => env.BOOKINGS.json(`booking:${id}`)));
+}
+
+test("запись на экскурсию и подтверждение владельцем", async (t) => {
+  const bot = setup(t);
+  await bot.replay(loadFixture("booking-confirm"));
+
+  const [booking] = await getBookings(bot.env);
+  assert.equal(booking.status, "confirmed");
+  assert.equal(booking.chatId, 501);
+  assert.equal(booking.data.time, "11:30");
+  assert.equal(booking.data.total, 1300);
+  const seats = await bot.env.BOOKINGS.json("seats:overview:2026-10-19:11:30");
+  assert.equal(seats.used, 2);
+  assert.equal(await bot.env.STATE.get("user:501"), null, "сессия гостя закрыта после заявки");
+});
+
+test("отклонение заявки со своей причиной освобождает места", async (t) => {
+  const bot = setup(t);
+  await bot.replay(loadFixture("booking-cancel"));
+
+  const [booking] = await getBookings(bot.env);
+  assert.equal(booking.status, "cancelled");
+  assert.equal(booking.rejectReason.text, "Ферма закрыта на санобработку");
+  const seats = await bot.env.BOOKINGS.json("seats:overview:2026-10-19:11:30");
+  assert.equal(seats.used, 0);
+});
+
+test("«нет мест» при свободном слоте не предлагает гостю лист ожидания", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-cancel");
+  const { guest, owner } = fixture.users;
+  await bot.replay({ ...fixture, steps: fixture.steps.slice(0, 9) });
+  await bot.press(owner, "reason:*:full");
+
+  const followup = bot.telegram.messagesTo(guest.id).at(-1).payload;
+  assert.match(followup.text, /Нет свободных мест/);
+  assert.equal(followup.reply_markup, undefined);
+});
+
+test("гид видит заявки, но не может их подтверждать", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  await bot.replay({ ...fixture, steps: fixture.steps.filter((step) => step.from === "guest") });
+
+  const owner = fixture.users.owner;
+  const guide = { id: 2002, first_name: "Пётр", chat: STAFF_CHAT_ID };
+  await bot.message(owner, "/staff_add 2002 guide Пётр");
+  await bot.press(guide, "confirm:*");
+
+  const answer = bot.telegram.calls.findLast((c) => c.method === "answerCallbackQuery");
+  assert.match(answer.payload.text, /может владелец, предзаказы магазина — также менеджер магазина/);
+  assert.equal(answer.payload.show_alert, true);
+  const [booking] = await getBookings(bot.env);
+  assert.equal(booking.status, "new");
+});
+
+test("повтор update_id от Telegram не обрабатывается дважды", async (t) => {
+  const bot = setup(t);
+  const update = { update_id: 777, message: { message_id: 1, chat: { id: 503 }, from: { id: 503 }, text: "/start" } };
+  await bot.send(update);
+  const sent = bot.telegram.calls.length;
+  await bot.send(update);
+  assert.equal(bot.telegram.calls.length, sent);
+});
+
+test("гость заблокировал бота: сотрудник узнаёт, что сообщение не доставлено", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  await bot.replay({ ...fixture, steps: fixture.steps.filter((step) => step.from === "guest") });
+
+  const owner = { id: OWNER_ID, first_name: "Ольга", chat: STAFF_CHAT_ID };
+  bot.telegram.fail("sendMessage", 403, { chatId: 501, description: "Forbidden: bot was blocked by the user" });
+  await bot.press(owner, "msg:*");
+  await bot.message(owner, "Возьмите, пожалуйста, сменную обувь");
+
+  assert.match(bot.telegram.messagesTo(STAFF_CHAT_ID).at(-1).payload.text, /Не удалось доставить сообщение гостю/);
+  assert.equal((await bot.env.BOOKINGS.json("idx:subscribers")).ids.map(String).includes("501"), false);
+});
+
+test("403 на редактирование сообщения не отписывает гостя", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  const { guest } = fixture.users;
+  await bot.replay({ ...fixture, steps: fixture.steps.filter((step) => step.from === "guest") });
+
+  bot.telegram.fail("editMessageText", 403, { chatId: 501, description: "Forbidden: bot was blocked by the user" });
+  await bot.message(guest, "📋 Мои заявки");
+  await bot.press(guest, "my:cancel:*");
+
+  assert.equal(bot.telegram.calls.at(-2).method, "editMessageText");
+  assert.ok((await bot.env.BOOKINGS.json("idx:subscribers")).ids.map(String).includes("501"));
+});
+
+test("отписавшийся гость, заблокировавший бота, не подписывается снова новой заявкой", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  const guestSteps = { ...fixture, steps: fixture.steps.filter((step) => step.from === "guest") };
+  await bot.replay(guestSteps);
+  await bot.message(fixture.users.guest, "/stop");
+
+  bot.telegram.fail("sendMessage", 403, { chatId: 501, description: "Forbidden: bot was blocked by the user" });
+  await bot.press(fixture.users.owner, "msg:*");
+  await bot.message(fixture.users.owner, "Ждём вас");
+  bot.telegram.restore();
+  await bot.replay({ ...guestSteps, steps: guestSteps.steps.filter((step) => step.text !== "/start") });
+
+  assert.ok((await bot.env.BOOKINGS.json("sub:501")).stoppedAt);
+  assert.equal((await bot.env.BOOKINGS.json("idx:subscribers")).ids.map(String).includes("501"), false);
+});
+
+test("подтверждённый перенос сбрасывает напоминание и ответ на него", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  const { guest, owner } = fixture.users;
+  await bot.replay({
+    ...fixture,
+    steps: fixture.steps.map((step) => (step.press === "cal:day:*" ? { ...step, press: "cal:day:2026-10-20" } : step)),
+  });
+  await bot.cron("0 15 * * *");
+  await bot.press(guest, "rsvp:*");
+
+  await bot.message(guest, "📋 Мои заявки");
+  await bot.press(guest, "my:move:*");
+  await bot.press(guest, "cal:day:2026-10-22");
+  await bot.press(guest, "slot:*");
+  await bot.press(owner, "confirm:*");
+
+  const { ids } = await bot.env.BOOKINGS.json("idx:chat:501");
+  const booking = await bot.env.BOOKINGS.json(`booking:${ids[0]}`);
+  assert.equal(booking.data.date, "2026-10-22");
+  assert.equal(booking.data.startsAt, "2026-10-22T11:30:00+03:00");
+  assert.equal(booking.reminderSentAt, undefined);
+  assert.equal(booking.attendance, undefined);
+});
+
+test("одобренный перенос неподтверждённой заявки оставляет её на подтверждение", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  const { guest, owner } = fixture.users;
+  await bot.replay({ ...fixture, steps: fixture.steps.filter((step) => step.from === "guest") });
+
+  await bot.message(guest, "📋 Мои заявки");
+  await bot.press(guest, "my:move:*");
+  await bot.press(guest, "cal:day:2026-10-22");
+  await bot.press(guest, "slot:*");
+  await bot.press(owner, "confirm:*");
+
+  const { ids } = await bot.env.BOOKINGS.json("idx:chat:501");
+  const booking = await bot.env.BOOKINGS.json(`booking:${ids[0]}`);
+  assert.equal(booking.data.date, "2026-10-22");
+  assert.equal(booking.status, "new");
+  assert.equal(booking.previousStatus, undefined);
+  const card = bot.telegram.calls.findLast((c) => c.method === "editMessageText").payload;
+  assert.match(card.text, /Перенос заявки .* подтверждён/);
+  assert.ok(card.reply_markup.inline_keyboard.flat().some((b) => b.callback_data === `confirm:${booking.id}`));
+});
+
+test("прошедший визит не показывается в «Моих заявках» и не отменяется гостем", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  const { guest } = fixture.users;
+  await bot.replay(fixture);
+  t.mock.timers.tick(24 * 3600000);
+
+  await bot.message(guest, "📋 Мои заявки");
+  assert.match(bot.telegram.messagesTo(guest.id).at(-1).payload.text, /нет актуальных заявок/);
+
+  const [booking] = await getBookings(bot.env);
+  await bot.send({
+    callback_query: {
+      id: "cq-past",
+      from: { id: guest.id },
+      data: `my:cancel_yes:${booking.id}`,
+      message: { message_id: 1, chat: { id: guest.id } },
+    },
+  });
+  assert.match(bot.telegram.calls.at(-1).payload.text, /визит уже прошёл/);
+  assert.equal((await getBookings(bot.env))[0].status, "confirmed");
+});
+
+test("лист ожидания: освободившееся место не достаётся меньшей группе в обход очереди", async (t) => {
+  const bot = setup(t);
+  const slot = "overview:2026-10-20:11:30";
+  const entry = (id, chatId, people) => ({ id, chatId, lang: "ru", name: id, people, contact: "-", joinedAt: NOW });
+  await bot.env.BOOKINGS.put(`seats:${slot}`, JSON.stringify({ used: 14 }));
+  await bot.env.BOOKINGS.put(
+    `waitlist:${slot}`,
+    JSON.stringify({ entries: [entry("big", 601, 3), entry("one", 602, 1)] })
+  );
+  await bot.env.BOOKINGS.put("idx:waitlist", JSON.stringify({ ids: [`waitlist:${slot}`] }));
+
+  await bot.cron("* * * * *");
+  assert.equal(bot.telegram.messagesTo(602).length, 0);
+  assert.equal((await bot.env.BOOKINGS.json(`seats:${slot}`)).used, 14);
+
+  await bot.env.BOOKINGS.put(`seats:${slot}`, JSON.stringify({ used: 12 }));
+  await bot.cron("* * * * *");
+  assert.match(bot.telegram.messagesTo(601).at(-1).payload.text, /Освободились места/);
+  assert.equal(bot.telegram.messagesTo(602).length, 0);
+});
+
+test("оценка визита посреди новой записи не сбрасывает её черновик", async (t) => {
+  const bot = setup(t);
+  const fixture = loadFixture("booking-confirm");
+  const { guest } = fixture.users;
+  await bot.replay(fixture);
+  t.mock.timers.tick(24 * 3600000);
+  await bot.cron("0 9 * * *");
+
+  await bot.message(guest, "📅 Записаться на экскурсию");
+  await bot.message(guest, "Анна");
+  const draft = await bot.env.STATE.json(`user:${guest.id}`);
+  await bot.press(guest, "fb:*:5");
+
+  assert.match(bot.telegram.calls.findLast((c) => c.method === "editMessageText").payload.text, /Спасибо за отзыв/);
+  assert.deepEqual(await bot.env.STATE.json(`user:${guest.id}`), draft);
+});
+
+test("CSV-выгрузка экранирует ячейки, которые таблица приняла бы за формулу", async (t) => {
+  const bot = setup(t);
+  bot.env.EXPORT_TOKEN = "export-secret";
+  const fixture = loadFixture("booking-confirm");
+  const steps = fixture.steps.map((step) => (step.text === "Анна" ? { ...step, text: "=HYPERLINK(1)" } : step));
+  await bot.replay({ ...fixture, steps });
+
+  const res = await bot.request("/export.csv?token=export-secret&from=2026-10-19&to=2026-10-19");
+  const [, row] = (await res.text()).trim().split("\r\n");
+  assert.match(row, /,'=HYPERLINK\(1\),/);
+  assert.match(row, /,"\+7 999 123-45-67",/);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRouter } from "../src/router.js";
+
+test("точный ключ и префикс со звёздочкой", async () => {
+  const seen = [];
+  const router = createRouter()
+    .on("ex_name", () => seen.push("name"))
+    .on(["exc:*", "cal:*"], (data) => seen.push(`picker ${data}`));
+
+  assert.equal(await router.dispatch("ex_name"), true);
+  assert.equal(await router.dispatch("cal:day:2026-10-20", "cal:day:2026-10-20"), true);
+  assert.equal(await router.dispatch("ex_name_extra"), false);
+  assert.deepEqual(seen, ["name", "picker cal:day:2026-10-20"]);
+});
+
+test("обработчик, вернувший false, передаёт ключ следующему маршруту", async () => {
+  const seen = [];
+  const router = createRouter()
+    .on("msg:stop", () => seen.push("stop"))
+    .on("msg:*", (allowed) => (allowed ? seen.push("msg") : false));
+
+  assert.equal(await router.dispatch("msg:stop", false), true);
+  assert.equal(await router.dispatch("msg:bk-1", true), true);
+  assert.equal(await router.dispatch("msg:bk-1", false), false);
+  assert.deepEqual(seen, ["stop", "msg"]);
+});
+
+test("пустой ключ и шаг без сессии не обрабатываются", async () => {
+  const router = createRouter().on("*", () => assert.fail("не должен вызываться"));
+  assert.equal(await router.dispatch(undefined), false);
+  assert.equal(await router.dispatch(""), false);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createBot } from "../worker.js";
+import { createTestBot } from "./support/harness.js";
+
+const GUEST = { id: 501, first_name: "Анна", language_code: "ru" };
+
+// Шаг вызывается напрямую через маршрутизатор: контекст собирается из одного сообщения гостя,
+// сессия задаётся тестом
+async function setup(t, text, session) {
+  t.mock.method(console, "log", () => {});
+  const { env, telegram } = createTestBot();
+  const bot = createBot(env, { telegram });
+  const ctx = await bot.createUpdateContext({
+    message: { message_id: 1, chat: { id: GUEST.id }, from: GUEST, text },
+  });
+  ctx.session = session;
+  return { env, telegram, routers: bot.routers, ctx };
+}
+
+test("ex_children: детей больше, чем гостей, — шаг повторяется", async (t) => {
+  const { env, telegram, routers, ctx } = await setup(t, "4", { step: "ex_children", people: "3" });
+
+  assert.equal(await routers.flowSteps.dispatch("ex_children", ctx), true);
+  assert.match(telegram.calls.at(-1).payload.text, /выберите количество детей/);
+  assert.equal(ctx.session.step, "ex_children");
+  assert.equal(await env.STATE.get(`user:${GUEST.id}`), null);
+});
+
+test("ex_children: число детей сохраняется, следующий шаг — контакт", async (t) => {
+  const { env, telegram, routers, ctx } = await setup(t, "1", { step: "ex_children", people: "3" });
+
+  assert.equal(await routers.flowSteps.dispatch("ex_children", ctx), true);
+  assert.equal(telegram.calls.at(-1).payload.text, "Ваш телефон или Telegram?");
+  const saved = await env.STATE.json(`user:${GUEST.id}`);
+  assert.equal(saved.step, "ex_contact");
+  assert.equal(saved.children, 1);
+});
+
+test("/broadcast от гостя не обрабатывается командами сотрудников", async (t) => {
+  const { telegram, routers, ctx } = await setup(t, "/broadcast", {});
+
+  assert.equal(await routers.commands.dispatch("/broadcast", ctx, ""), false);
+  assert.equal(telegram.calls.length, 0);
+});
+
+test("адрес воркера приходит в контексте апдейта: кнопка Mini App только по https", async () => {
+  const { env, telegram } = createTestBot();
+  const bot = createBot(env, { telegram });
+  const update = { message: { message_id: 1, chat: { id: GUEST.id }, from: GUEST, text: "/start" } };
+  const webApp = (ctx) => ctx.mainKeyboard.keyboard.flat().find((button) => button.web_app);
+
+  assert.equal(webApp(await bot.createUpdateContext(update, { origin: "http://localhost:8787" })), undefined);
+  const ctx = await bot.createUpdateContext(update, { origin: "https://bot.example" });
+  assert.equal(webApp(ctx).web_app.url, "https://bot.example/app?lang=ru");
+});
@@ -0,0 +1,50 @@
+// Фейковый Bot API с интерфейсом src/telegram.js: запоминает вызовы,
+// отвечает { ok: true, result: { message_id } } и умеет имитировать ошибки Telegram.
+export function createFakeTelegram() {
+  const calls = [];
+  const failures = [];
+  let nextMessageId = 100;
+
+  function respond(method, payload) {
+    const call = { method, payload, messageId: payload?.message_id ?? null };
+    calls.push(call);
+    const failure = failures.find(
+      (f) => f.method === method && (!f.chatId || String(f.chatId) === String(payload?.chat_id))
+    );
+    if (failure) {
+      const body = JSON.stringify({ ok: false, error_code: failure.status, description: failure.description });
+      return { ok: false, status: failure.status, body };
+    }
+    if (call.messageId === null) call.messageId = nextMessageId++;
+    return { ok: true, status: 200, body: JSON.stringify({ ok: true, result: { message_id: call.messageId } }) };
+  }
+
+  return {
+    calls,
+
+    async call(method, payload) {
+      return respond(method, payload);
+    },
+
+    async upload(method, form) {
+      return respond(method, { chat_id: form.get("chat_id"), caption: form.get("caption") || "" });
+    },
+
+    // fail("sendMessage", 403, { chatId }) — например, гость заблокировал бота
+    fail(method, status, { chatId = null, description = "Forbidden" } = {}) {
+      failures.push({ method, status, chatId, description });
+    },
+
+    // Снимает имитацию ошибок — например, гость разблокировал бота
+    restore() {
+      failures.length = 0;
+    },
+
+    // Сообщения (sendMessage / editMessageText), отправленные в чат: { method, payload, messageId }
+    messagesTo(chatId) {
+      return calls
+        .filter((c) => c.method === "sendMessage" || c.method === "editMessageText")
+        .filter((c) => String(c.payload.chat_id) === String(chatId));
+    },
+  };
+}
@@ -0,0 +1,107 @@
+// Бот целиком, но офлайн: createWorker с фейковым Telegram и KV в памяти.
+// Обновления идут через fetch("/webhook") — как от Telegram, с секретом и дедупликацией.
+import assert from "node:assert/strict";
+import { createWorker } from "../../worker.js";
+import { MemoryKV } from "./memory-kv.js";
+import { createFakeTelegram } from "./fake-telegram.js";
+
+export const OWNER_ID = 1001;
+export const STAFF_CHAT_ID = -100500;
+
+export function createTestBot({ vars = {} } = {}) {
+  const telegram = createFakeTelegram();
+  const env = {
+    BOOKINGS: new MemoryKV(),
+    STATE: new MemoryKV(),
+    BOT_TOKEN: "test-token",
+    WEBHOOK_SECRET: "test-secret",
+    ADMIN_USER_ID: String(OWNER_ID),
+    ADMIN_CHAT_ID: String(STAFF_CHAT_ID),
+    ...vars,
+  };
+  const worker = createWorker({ telegram });
+  const pending = [];
+  const ctx = { waitUntil: (promise) => pending.push(promise) };
+  let updateId = 1;
+
+  async function send(update) {
+    const request = new Request("https://bot.example/webhook", {
+      method: "POST",
+      headers: { "X-Telegram-Bot-Api-Secret-Token": env.WEBHOOK_SECRET },
+      body: JSON.stringify({ update_id: updateId++, ...update }),
+    });
+    const res = await worker.fetch(request, env, ctx);
+    await Promise.all(pending.splice(0));
+    return res;
+  }
+
+  // HTTP-маршруты воркера: /export.csv, /app/api/*, /admin
+  async function request(path, init) {
+    const res = await worker.fetch(new Request(`https://bot.example${path}`, init), env, ctx);
+    await Promise.all(pending.splice(0));
+    return res;
+  }
+
+  async function cron(expression) {
+    await worker.scheduled({ cron: expression, scheduledTime: Date.now() }, env, ctx);
+    await Promise.all(pending.splice(0));
+  }
+
+  // Пользователь из фикстуры: { id, first_name, language_code, chat } (chat — если пишет не в личку)
+  function message(user, text) {
+    const from = { id: user.id, first_name: user.first_name, language_code: user.language_code };
+    return send({ message: { message_id: 1, chat: { id: user.chat ?? user.id }, from, text } });
+  }
+
+  // Нажатие inline-кнопки из последнего сообщения в чате, где она есть.
+  // callbackData — значение, где * заменяет любую часть ("cal:day:*" — первый предложенный день,
+  // "reason:*:custom" — своя причина для заявки, id которой тест не знает).
+  function press(user, callbackData) {
+    const chatId = user.chat ?? user.id;
+    const escaped = callbackData.split("*").map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+    const pattern = new RegExp(`^${escaped.join(".*")}$`);
+    const matches = (data) => pattern.test(data ?? "");
+    const source = telegram
+      .messagesTo(chatId)
+      .findLast((m) => m.payload.reply_markup?.inline_keyboard?.flat().some((b) => matches(b.callback_data)));
+    assert.ok(source, `нет кнопки ${callbackData} в чате ${chatId}`);
+    const button = source.payload.reply_markup.inline_keyboard.flat().find((b) => matches(b.callback_data));
+    const from = { id: user.id, first_name: user.first_name, language_code: user.language_code };
+    return send({
+      callback_query: {
+        id: `cq-${updateId}`,
+        from,
+        data: button.callback_data,
+        message: { message_id: source.messageId, chat: { id: chatId } },
+      },
+    });
+  }
+
+  // Фикстура: { users: { name: {...} }, steps: [{ from, text | press, expect }] }.
+  // expect — подстрока ответа в чат отправителя или [{ chat, text }] для нескольких чатов;
+  // ищется среди сообщений, отправленных (или отредактированных) на этом шаге.
+  async function replay(fixture) {
+    for (const [index, step] of fixture.steps.entries()) {
+      const user = fixture.users[step.from];
+      const before = telegram.calls.length;
+      if (step.press) await press(user, step.press);
+      else await message(user, step.text);
+
+      const expectations =
+        typeof step.expect === "string" ? [{ chat: step.from, text: step.expect }] : step.expect || [];
+      for (const { chat, text } of expectations) {
+        const target = fixture.users[chat];
+        const replies = telegram
+          .messagesTo(target.chat ?? target.id)
+          .filter((m) => telegram.calls.indexOf(m) >= before)
+          .map((m) => m.payload.text);
+        assert.ok(
+          replies.some((reply) => reply.includes(text)),
+          `шаг ${index + 1} (${step.text ?? step.press}): в чате ${chat} ждали «${text}», пришло: ${JSON.stringify(replies)}`
+        );
+      }
+    }
+  }
+
+  return { env, telegram, send, request, cron, message, press, replay };
+}
@@ -0,0 +1,41 @@
+// KV namespace в памяти — тот же интерфейс, что у привязок BOOKINGS / STATE
+// (строковые значения, expirationTtl в секундах, metadata, list по префиксу).
+export class MemoryKV {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key, type = "text") {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return type === "json" ? JSON.parse(entry.value) : entry.value;
+  }
+
+  async put(key, value, { expirationTtl, metadata } = {}) {
+    const expiresAt = expirationTtl ? Date.now() + expirationTtl * 1000 : null;
+    this.entries.set(key, { value: String(value), expiresAt, metadata: metadata ?? null });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async list({ prefix = "" } = {}) {
+    const names = [...this.entries.keys()].filter((name) => name.startsWith(prefix)).sort();
+    const keys = names.map((name) => {
+      const { metadata } = this.entries.get(name);
+      return metadata ? { name, metadata } : { name };
+    });
+    return { keys, list_complete: true, cursor: "" };
+  }
+
+  // Разобранный JSON по ключу (для проверок в тестах)
+  async json(key) {
+    const value = await this.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+}
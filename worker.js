@@ -6,260 +6,5955 @@
 // - Removed parse_mode="Markdown" from dynamic/admin messages to avoid underscore/entity parsing failures
 // - Booking IDs use hyphens instead of underscores
 
-export default {
-  async fetch(request, env, ctx) {
-    // SAFETY: never let an unhandled error return 500 to Telegram.
-    // We log the error, but respond 200 OK so Telegram doesn't disable webhook.
+import { createRouter } from "./src/router.js";
+import { createTelegramApi } from "./src/telegram.js";
+
+// Каталог экскурсий по умолчанию. Переопределяется в KV: BOOKINGS, ключ "config:excursions".
+// Цены — за человека, в рублях; длительность — в минутах.
+// i18n — названия для гостей на других языках (в заявке и у админа — русское title).
+const DEFAULT_EXCURSIONS = [
+  {
+    id: "overview",
+    title: "Обзорная экскурсия",
+    durationMin: 60,
+    priceAdult: 800,
+    priceChild: 500,
+    i18n: { en: { title: "Farm overview tour" }, et: { title: "Ülevaateekskursioon" } },
+  },
+  {
+    id: "gastro",
+    title: "Гастро-тур",
+    durationMin: 90,
+    priceAdult: 1500,
+    priceChild: 900,
+    i18n: { en: { title: "Gastro tour" }, et: { title: "Gastronoomiline tuur" } },
+  },
+  {
+    id: "family",
+    title: "Семейная экскурсия",
+    durationMin: 60,
+    priceAdult: 700,
+    priceChild: 400,
+    i18n: { en: { title: "Family tour" }, et: { title: "Pereekskursioon" } },
+  },
+];
+
+// Слоты экскурсий по умолчанию (время + максимум гостей на слот), по id экскурсии.
+// Переопределяются в KV: BOOKINGS, ключ "config:slots" (тот же формат JSON).
+const DEFAULT_SLOT_CONFIG = {
+  overview: {
+    times: [
+      { time: "11:30", capacity: 15 },
+      { time: "15:30", capacity: 15 },
+    ],
+  },
+  gastro: {
+    times: [{ time: "13:00", capacity: 10 }],
+  },
+  family: {
+    times: [
+      { time: "12:00", capacity: 12 },
+      { time: "16:00", capacity: 12 },
+    ],
+  },
+};
+
+// На сколько дней вперёд открыта запись (календарь)
+const BOOKING_DAYS_AHEAD = 60;
+
+// Максимум гостей в одной заявке на мероприятие
+const EVENT_MAX_PEOPLE = 10;
+
+// Каталог магазина по умолчанию. Переопределяется в KV: BOOKINGS, ключ "config:products"
+// ({ items: [...] }); остаток (stock) уменьшается при подтверждении предзаказа.
+// i18n — название и единица для гостей на других языках, как у экскурсий.
+const DEFAULT_PRODUCTS = [
+  {
+    id: "aged_cheese",
+    title: "Сыр выдержанный",
+    unit: "кг",
+    price: 2400,
+    stock: 10,
+    i18n: { en: { title: "Aged cheese", unit: "kg" }, et: { title: "Laagerdunud juust", unit: "kg" } },
+  },
+  {
+    id: "cheese",
+    title: "Сыр молодой",
+    unit: "кг",
+    price: 1200,
+    stock: 15,
+    i18n: { en: { title: "Young cheese", unit: "kg" }, et: { title: "Noor juust", unit: "kg" } },
+  },
+  {
+    id: "syrniki",
+    title: "Сырники",
+    unit: "уп. 6 шт",
+    price: 350,
+    stock: 20,
+    i18n: { en: { title: "Syrniki (curd pancakes)", unit: "pack of 6" }, et: { title: "Kohupiimakotletid", unit: "pakis 6 tk" } },
+  },
+  {
+    id: "butter",
+    title: "Масло сливочное",
+    unit: "200 г",
+    price: 380,
+    stock: 20,
+    i18n: { en: { title: "Butter", unit: "200 g" }, et: { title: "Või", unit: "200 g" } },
+  },
+  {
+    id: "beef",
+    title: "Говядина",
+    unit: "кг",
+    price: 1100,
+    stock: 10,
+    i18n: { en: { title: "Beef", unit: "kg" }, et: { title: "Veiseliha", unit: "kg" } },
+  },
+  {
+    id: "veal",
+    title: "Телятина",
+    unit: "кг",
+    price: 1400,
+    stock: 8,
+    i18n: { en: { title: "Veal", unit: "kg" }, et: { title: "Vasikaliha", unit: "kg" } },
+  },
+];
+
+// Часы работы магазина (выдача предзаказов) и на сколько дней вперёд можно выбрать дату
+const SHOP_HOURS = { openFrom: "11:00", openTo: "17:00" };
+const PREORDER_DAYS_AHEAD = 7;
+
+// График работы по умолчанию. Переопределяется в KV: BOOKINGS, ключ "config:schedule".
+// Слоты вне окна openFrom–openTo не предлагаются.
+// closedWeekdays: 0 = вс, 1 = пн, ... 6 = сб; closedDates: ["YYYY-MM-DD", ...]
+const DEFAULT_SCHEDULE = {
+  openFrom: "10:00",
+  openTo: "18:00",
+  closedWeekdays: [],
+  closedDates: [],
+};
+
+// Часовой пояс фермы (Псковская область, UTC+3, без перехода на летнее время)
+const FARM_UTC_OFFSET_MIN = 180;
+
+// Текст блока "📍 Как добраться" (используется и в напоминаниях о визите)
+const ADDRESS_TEXT =
+  "Адрес:\nПсковская область, Печорский район,\nдеревня Подлесье, Центральная 10.\n\n" +
+  "В навигатор: Ферма Голубой Коровы\n" +
+  "От Пскова → 55 минут\nОт Изборска → 20 минут\nОт Печор → 15 минут";
+
+// Информационные блоки меню. Переопределяются в KV: BOOKINGS, ключ "content:<block>"
+// ({ text, texts: { en, et }, photo, location: { latitude, longitude } }) командами /content_*;
+// text — русский текст, texts — переводы; фото и геоточка общие для всех языков.
+// Без ключа (или без перевода) — эти тексты. Кнопки меню — I18N btn_<block>.
+// Для "products" текст — шапка над каталогом магазина.
+const DEFAULT_CONTENT = {
+  excursions: {
+    text:
+      "Ферма Голубой Коровы приглашает вас на экскурсии:\n\n" +
+      "1) Обзорная экскурсия — 1 час\n" +
+      "— знакомство с коровами, козами, ламами\n" +
+      "— кормление животных\n" +
+      "— прогулка по территории\n\n" +
+      "2) Гастро-тур — 1.5 часа\n" +
+      "— дегустация сыра и свежего молока\n" +
+      "— мини-лекция о сыроварне\n\n" +
+      "3) Семейная экскурсия — 1 час\n" +
+      "— формат для детей\n" +
+      "— дружелюбные животные\n",
+    texts: {
+      en:
+        "Blue Cow Farm invites you on a tour:\n\n" +
+        "1) Farm overview tour — 1 hour\n" +
+        "— meet our cows, goats and llamas\n" +
+        "— feed the animals\n" +
+        "— walk around the farm\n\n" +
+        "2) Gastro tour — 1.5 hours\n" +
+        "— cheese and fresh milk tasting\n" +
+        "— a short talk about our cheese dairy\n\n" +
+        "3) Family tour — 1 hour\n" +
+        "— made for children\n" +
+        "— friendly animals\n",
+      et:
+        "Sinise Lehma talu kutsub teid ekskursioonile:\n\n" +
+        "1) Ülevaateekskursioon — 1 tund\n" +
+        "— tutvumine lehmade, kitsede ja laamadega\n" +
+        "— loomade söötmine\n" +
+        "— jalutuskäik talu territooriumil\n\n" +
+        "2) Gastronoomiline tuur — 1,5 tundi\n" +
+        "— juustu ja värske piima degusteerimine\n" +
+        "— lühike loeng juustukojast\n\n" +
+        "3) Pereekskursioon — 1 tund\n" +
+        "— lastele mõeldud formaat\n" +
+        "— sõbralikud loomad\n",
+    },
+  },
+  schedule: {
+    text:
+      "Экскурсии каждый день по предварительной записи с 10:00 до 18:00.\n" +
+      "Магазин работает с 11:00 до 17:00.\n" +
+      "Бронируйте заранее.",
+    texts: {
+      en: "Tours run every day by appointment from 10:00 to 18:00.\nThe shop is open from 11:00 to 17:00.\nPlease book in advance.",
+      et: "Ekskursioonid toimuvad iga päev eelregistreerimisega kell 10:00–18:00.\nPood on avatud kell 11:00–17:00.\nBroneerige aegsasti.",
+    },
+  },
+  address: {
+    text: ADDRESS_TEXT,
+    texts: {
+      en:
+        "Address:\nPskov region, Pechory district,\nPodlesye village, Tsentralnaya 10.\n\n" +
+        "In your navigator: Ферма Голубой Коровы\n" +
+        "From Pskov → 55 minutes\nFrom Izborsk → 20 minutes\nFrom Pechory → 15 minutes",
+      et:
+        "Aadress:\nPihkva oblast, Petseri rajoon,\nPodlesje küla, Tsentralnaja 10.\n\n" +
+        "Navigaatorisse: Ферма Голубой Коровы\n" +
+        "Pihkvast → 55 minutit\nIrboskast → 20 minutit\nPetserist → 15 minutit",
+    },
+  },
+  products: {
+    text: "Наша продукция — предзаказ с самовывозом из фермерского магазина (11:00–17:00):",
+    texts: {
+      en: "Our produce — pre-order and pick up at the farm shop (11:00–17:00):",
+      et: "Meie tooted — eeltellimus ja kättesaamine talupoest (11:00–17:00):",
+    },
+  },
+};
+
+// Cron Triggers (см. [triggers] в wrangler.toml). Время — UTC.
+const CRON_REMINDERS = "0 15 * * *"; // 18:00 по времени фермы — напоминания на завтра
+const CRON_DIGEST = "0 6 * * *"; // 09:00 по времени фермы — утренняя сводка админу
+const CRON_QUEUE = "* * * * *"; // каждую минуту — лист ожидания (истёкшие предложения) и очередь рассылки
+const CRON_FEEDBACK = "0 9 * * *"; // 12:00 по времени фермы — просьба оценить вчерашний визит
+
+// Лист ожидания: сколько минут места удерживаются за гостем после предложения
+const WAITLIST_OFFER_TTL_MIN = 60;
+
+// Заявки в статусе "new" старше стольких часов попадают в сводку (переопределяется var PENDING_ALERT_HOURS)
+const DEFAULT_PENDING_ALERT_HOURS = 6;
+
+// Оценка гостя (1–5) не выше этой сразу уходит админу (переопределяется var FEEDBACK_ALERT_RATING)
+const DEFAULT_FEEDBACK_ALERT_RATING = 3;
+
+// /ratings: комментарий в отчёте обрезается до стольких символов, весь отчёт — до лимита сообщения Telegram (4096)
+const RATINGS_COMMENT_PREVIEW = 300;
+const RATINGS_REPORT_LIMIT = 4000;
+
+// Рассылка: сообщений за один запуск cron (переопределяется var BROADCAST_BATCH_SIZE) и пауза между ними.
+// Telegram допускает ~30 сообщений в секунду на бота — отправляем не больше 25.
+const DEFAULT_BROADCAST_BATCH_SIZE = 40;
+const BROADCAST_SEND_INTERVAL_MS = 40;
+
+// Роли сотрудников (KV: BOOKINGS, "config:staff") и их права:
+// - view: списки, карточки заявок, сводка
+// - decide: подтверждение / отклонение заявок
+// - staff: управление сотрудниками
+// - events: создание и закрытие мероприятий
+// - preorders: подтверждение / отклонение предзаказов магазина и остатки товаров
+// - content: тексты информационных блоков меню
+// ADMIN_USER_ID всегда владелец (owner).
+const STAFF_ROLES = {
+  owner: { label: "владелец", permissions: ["view", "decide", "staff", "events", "preorders", "content", "broadcast"] },
+  guide: { label: "гид", permissions: ["view"] },
+  shop: { label: "менеджер магазина", permissions: ["view", "preorders"] },
+};
+
+// Готовые причины отклонения заявки (callback reason:<id>:<code>); "custom" — своя причина текстом.
+// Здесь — подписи кнопок для сотрудников, гостю уходит перевод I18N reason_<code>.
+const REJECT_REASONS = {
+  full: "Нет свободных мест на это время",
+  closed: "Ферма в этот день закрыта",
+  other_time: "Пожалуйста, выберите другое время",
+};
+
+// Языки интерфейса гостя. Выбор хранится в STATE "lang:<userId>" (без срока),
+// по умолчанию — из language_code Telegram (см. detectLang).
+// Сообщения и кнопки сотрудников — на русском, как и карточки заявок.
+const LANGUAGES = { ru: "🇷🇺 Русский", en: "🇬🇧 English", et: "🇪🇪 Eesti" };
+const DEFAULT_LANG = "ru";
+
+// Кнопки reply-клавиатур: текст кнопки на любом языке => действие (см. resolveButton)
+const BUTTON_ACTIONS = [
+  "book",
+  "events",
+  "my",
+  "excursions",
+  "schedule",
+  "products",
+  "address",
+  "reset",
+  "menu",
+  "language",
+  "group_small",
+  "group_large",
+];
+
+// Тексты гостевого интерфейса; {name} — подстановка параметров (translate).
+// Нет ключа в языке — берётся русский текст.
+const I18N = {
+  ru: {
+    welcome: "Добро пожаловать на Ферму Голубой Коровы!\n\nВыберите действие:",
+    lang_choose: "Выберите язык / Choose language / Vali keel:",
+    lang_set: "Язык: русский.",
+    reset_done: "Заявка сброшена. Можете начать заново.",
+    fallback: "Спасибо! Мы свяжемся с вами.",
+    unknown_command: "Неизвестная команда.",
+    not_found: "Заявка не найдена.",
+
+    btn_book: "📅 Записаться на экскурсию",
+    btn_events: "🎉 Мероприятия",
+    btn_my: "📋 Мои заявки",
+    btn_excursions: "🐄 Экскурсии",
+    btn_schedule: "📅 Расписание",
+    btn_products: "🛒 Продукция",
+    btn_address: "📍 Как добраться",
+    btn_reset: "🔄 Сбросить заявку",
+    btn_menu: "🏡 Главное меню",
+    btn_language: "🌐 Язык",
+    btn_group_small: "6–10",
+    btn_group_large: "более 11",
+    btn_cancel: "Отмена",
+
+    months: [
+      "Январь", "Февраль", "Март", "Апрель", "Май", "Июнь",
+      "Июль", "Август", "Сентябрь", "Октябрь", "Ноябрь", "Декабрь",
+    ],
+    calendar_weekdays: ["Пн", "Вт", "Ср", "Чт", "Пт", "Сб", "Вс"],
+    weekdays: ["вс", "пн", "вт", "ср", "чт", "пт", "сб"],
+    unit_hours: "ч",
+    unit_minutes: "мин",
+    free: "бесплатно",
+
+    status_new: "🆕 новая",
+    status_confirmed: "✅ подтверждена",
+    status_cancelled: "❌ отклонена",
+    status_cancelled_by_user: "🚫 отменена гостем",
+    status_reschedule_requested: "🔁 запрошен перенос",
+
+    title_excursion: "Экскурсия",
+    title_preorder: "Предзаказ",
+    label_excursion: "Экскурсия: {title}\n",
+    label_event: "Мероприятие: {title}\n",
+    label_when: "Дата: {date}, {time}\n",
+    label_total: "Сумма: {total}",
+    label_guests: "Гостей: {people}\n",
+
+    // Экскурсии: каталог, календарь, слоты
+    book_ask_name: "Как вас зовут?\n\nВы можете в любой момент сбросить заявку или вернуться в главное меню.",
+    catalog_title: "Какую экскурсию выбираете?\n",
+    catalog_prices: "Взрослый: {adult}, детский: {child}\n",
+    catalog_times: "Время: {times}\n",
+    slot_button: "{time} (мест: {free})",
+    btn_to_calendar: "‹ К календарю",
+    session_expired: "Заявка устарела. Начните запись заново.",
+    excursion_not_found: "Экскурсия не найдена.",
+    ask_date: "{title}\nНа какую дату хотите записаться?",
+    date_no_slots: "На эту дату записи нет. Выберите другой день.",
+    ask_time: "{title}\nДата: {date}\nВо сколько?",
+    time_taken: "Это время уже недоступно. Выберите другое.",
+    slot_chosen: "{title}\nДата: {date}\nВремя: {time}",
+    ask_people: "Сколько гостей будет?",
+    pick_excursion: "Пожалуйста, выберите экскурсию кнопкой.",
+    pick_date: "Пожалуйста, выберите дату в календаре.",
+    pick_time: "Дата: {date}\nПожалуйста, выберите время кнопкой.",
+    pick_people: "Пожалуйста, выберите количество гостей кнопкой ниже.",
+    slot_left:
+      "На {time} осталось мест: {free}. Выберите меньшее количество гостей или сбросьте заявку и выберите другое время.",
+    ask_children: "Сколько из них детей?",
+    pick_children: "Пожалуйста, выберите количество детей кнопкой ниже.",
+    ask_contact: "Ваш телефон или Telegram?",
+    invalid_contact:
+      "Пожалуйста, укажите корректный контакт.\nТелефон (например: +7 999 123-45-67) или Telegram-ник (@username).",
+    booking_sold_out:
+      "К сожалению, пока вы заполняли заявку, места на это время закончились. Пожалуйста, начните запись заново и выберите другое время.",
+    booking_sent: "Спасибо! Ваша заявка отправлена. Мы свяжемся с вами для подтверждения.\n\n",
+    total_group: "рассчитывается индивидуально для большой группы",
+
+    // Лист ожидания
+    slot_waitlist_button: "{time} — мест нет, в лист ожидания",
+    waitlist_slot_chosen:
+      "{title}\nДата: {date}\nВремя: {time}\n\nМест сейчас нет — запишем вас в лист ожидания. Когда места освободятся, пришлём предложение.",
+    waitlist_joined:
+      "Вы в листе ожидания: {title}, {date}, {time}, гостей: {people}. Номер в очереди: {position}.\n" +
+      "Когда места освободятся, пришлём сообщение с кнопкой «Забронировать».",
+    waitlist_offer: "Освободились места: {title}, {date}, {time}, гостей: {people}.\nМеста удерживаются за вами до {until}. Забронировать?",
+    btn_waitlist_book: "✅ Забронировать",
+    btn_waitlist_decline: "Отказаться",
+    btn_waitlist_join: "🕒 В лист ожидания",
+    waitlist_offer_expired: "Время предложения истекло — места переданы следующему в очереди.",
+    waitlist_declined: "Хорошо, вы убраны из листа ожидания.",
+    waitlist_join_unavailable: "Лист ожидания для этой заявки недоступен.",
+
+    // Мои заявки, отмена и перенос
+    my_empty: "У вас пока нет актуальных заявок.",
+    my_title: "Ваши заявки:\n",
+    my_status: ". Статус: {status}\n",
+    my_reschedule: "Запрошен перенос на {when}\n",
+    btn_my_cancel: "❌ Отменить №{n}",
+    btn_my_move: "📅 Перенести №{n}",
+    already_status: "Заявка уже в статусе «{status}».",
+    my_past: "Этот визит уже прошёл — его нельзя отменить или перенести.",
+    my_cancel_ask: "Отменить заявку на {when}?",
+    btn_yes_cancel: "Да, отменить",
+    btn_no: "Нет",
+    my_cancelled: "Заявка на {when} отменена.",
+    cancelled_toast: "Заявка отменена.",
+    move_unavailable: "Перенос для этой заявки недоступен. Свяжитесь с нами.",
+    move_ask_date: "Перенос заявки на {when}.\nВыберите новую дату:",
+    reschedule_too_late: "Эту заявку уже нельзя перенести.",
+    reschedule_no_seats: "На это время недостаточно мест для {count} гостей.",
+    reschedule_sent: "Запрос на перенос на {when} отправлен. Мы сообщим, когда администратор его подтвердит.",
+    reschedule_sent_toast: "Запрос отправлен.",
+
+    // Решения администратора и напоминания
+    booking_confirmed: "Ваша заявка {id} подтверждена.",
+    booking_rejected: "Ваша заявка {id} отклонена.",
+    reject_reason: "\nПричина: {reason}",
+    reject_footer: "\n\nЕсли это ошибка — свяжитесь с нами.",
+    reject_reason_followup: "Причина отклонения заявки {id}: {reason}",
+    reason_full: "Нет свободных мест на это время",
+    reason_closed: "Ферма в этот день закрыта",
+    reason_other_time: "Пожалуйста, выберите другое время",
+    reschedule_approved: "Перенос подтверждён. Ваша заявка {id}: {when}.",
+    reschedule_declined: "Перенос не подтверждён. Заявка {id} остаётся на {when}. Если нужно — свяжитесь с нами.",
+    reminder: "Напоминаем: завтра, {date}, в {time} ждём вас на Ферме Голубой Коровы!\n",
+    reminder_confirm: "Пожалуйста, подтвердите визит:",
+    btn_rsvp_yes: "✅ Приду",
+    btn_rsvp_no: "❌ Не смогу",
+    rsvp_already: "Ответ уже получен. Спасибо!",
+    rsvp_yes: "Спасибо! Ждём вас {when}.\n\n{address}",
+    rsvp_yes_toast: "Ждём вас!",
+    rsvp_no: "Жаль! Заявка на {when} отменена. Будем рады видеть вас в другой раз.",
+
+    // Отзыв после визита
+    feedback_ask: "Спасибо, что побывали у нас: {title}, {date}!\nКак вам понравилось? Оцените визит от 1 до 5:",
+    feedback_comment_ask: "Спасибо за оценку {rating}/5! Напишите пару слов о визите — или нажмите «Пропустить».",
+    btn_feedback_skip: "Пропустить",
+    feedback_thanks: "Спасибо за отзыв! Ждём вас снова.",
+    feedback_already: "Оценка уже получена. Спасибо!",
+    feedback_need_text: "Напишите отзыв текстом или нажмите «Пропустить».",
+
+    // Переписка с фермой
+    staff_message: "Сообщение от Фермы Голубой Коровы по заявке {id}:\n\n{text}",
+    btn_reply: "↩️ Ответить",
+    reply_cancelled: "Ответ отменён.",
+    reply_ask: "Напишите ответ одним сообщением — мы передадим его администратору.",
+    reply_need_text: "Отправьте ответ текстом.",
+    reply_sent: "Ответ отправлен. Спасибо!",
+
+    // Новости фермы (рассылка)
+    broadcast_footer: "\n\n—\nОтписаться от новостей: /stop",
+    stop_done: "Вы отписались от новостей фермы. Уведомления по вашим заявкам по-прежнему будут приходить.\nЧтобы снова получать новости, отправьте /start.",
+
+    // Магазин
+    stock_available: " (в наличии: {stock})",
+    stock_none: " — нет в наличии",
+    btn_cart: "🧺 Корзина ({count})",
+    cart_empty: "Корзина пуста.",
+    cart_empty_hint: "Корзина пуста. Откройте «{button}».",
+    cart_title: "Ваша корзина:\n\n{items}\n\nИтого: {total}",
+    cart_added: "{title}: в корзине {qty}",
+    btn_to_catalog: "🛒 К каталогу",
+    btn_cart_clear: "🗑 Очистить",
+    btn_checkout: "✅ Оформить предзаказ",
+    btn_back_to_cart: "🧺 Назад к корзине",
+    btn_other_date: "‹ Другая дата",
+    product_not_found: "Товар не найден.",
+    stock_only: "В наличии только {stock} ({unit}).",
+    pickup_ask_date: "Когда заберёте заказ? Выберите дату:",
+    pickup_date_unavailable: "Эта дата недоступна.",
+    pickup_ask_time: "Дата выдачи: {date}\nВыберите время:",
+    pickup_time_unavailable: "Это время недоступно.",
+    pickup_chosen: "Выдача: {date}, {time}",
+    shop_short: "Недостаточно товара: {items}. Измените корзину в «{button}».",
+    preorder_sent:
+      "Спасибо! Предзаказ отправлен. Мы подтвердим его в ближайшее время.\n\n" +
+      "{items}\n\nСумма: {total}\nВыдача: {date}, {time}, фермерский магазин.",
+
+    // Мероприятия
+    events_empty: "Сейчас нет запланированных мероприятий. Следите за новостями!",
+    events_title: "Ближайшие мероприятия:\n",
+    event_price: "Цена: {price}\n",
+    price_per_person: "{price} с человека",
+    event_free_seats: "Свободных мест: {free}\n",
+    btn_event_book: "Записаться: {title}",
+    event_closed: "Запись на это мероприятие закрыта.",
+    event_full: "Свободных мест не осталось.",
+    event_ask_name: "Запись на «{title}», {date}, {time}.\n\nКак вас зовут?",
+    ask_name: "Как вас зовут?",
+    event_closed_flow: "К сожалению, запись на это мероприятие уже закрыта.",
+    event_ask_people: "Сколько будет гостей? Свободных мест: {free}.",
+    event_sold_out: "К сожалению, места на это мероприятие закончились.",
+    event_pick_people: "Пожалуйста, выберите количество гостей кнопкой ниже (свободных мест: {free}).",
+    event_sold_out_flow: "К сожалению, пока вы заполняли заявку, места на это мероприятие закончились.",
+
+    // Mini App (/app)
+    btn_webapp: "📱 Записаться в приложении",
+    app_title: "Запись на экскурсию",
+    app_name: "Ваше имя",
+    app_excursion: "Экскурсия",
+    app_date: "Дата",
+    app_time: "Время",
+    app_people: "Гостей",
+    app_children: "Из них детей",
+    app_contact: "Телефон или Telegram",
+    app_submit: "Отправить заявку",
+    app_fill_all: "Заполните все поля формы.",
+    app_error: "Не удалось отправить заявку. Попробуйте ещё раз или запишитесь через меню бота.",
+    app_no_dates: "Сейчас нет открытых дат для записи. Загляните позже.",
+  },
+
+  en: {
+    welcome: "Welcome to Blue Cow Farm!\n\nChoose an option:",
+    lang_set: "Language: English.",
+    reset_done: "Your request has been reset. You can start again.",
+    fallback: "Thank you! We will get in touch with you.",
+    unknown_command: "Unknown command.",
+    not_found: "Booking not found.",
+
+    btn_book: "📅 Book a tour",
+    btn_events: "🎉 Events",
+    btn_my: "📋 My bookings",
+    btn_excursions: "🐄 Tours",
+    btn_schedule: "📅 Opening hours",
+    btn_products: "🛒 Farm produce",
+    btn_address: "📍 How to get here",
+    btn_reset: "🔄 Reset request",
+    btn_menu: "🏡 Main menu",
+    btn_language: "🌐 Language",
+    btn_group_large: "more than 11",
+    btn_cancel: "Cancel",
+
+    months: [
+      "January", "February", "March", "April", "May", "June",
+      "July", "August", "September", "October", "November", "December",
+    ],
+    calendar_weekdays: ["Mo", "Tu", "We", "Th", "Fr", "Sa", "Su"],
+    weekdays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+    unit_hours: "h",
+    unit_minutes: "min",
+    free: "free",
+
+    status_new: "🆕 new",
+    status_confirmed: "✅ confirmed",
+    status_cancelled: "❌ declined",
+    status_cancelled_by_user: "🚫 cancelled by you",
+    status_reschedule_requested: "🔁 change requested",
+
+    title_excursion: "Tour",
+    title_preorder: "Pre-order",
+    label_excursion: "Tour: {title}\n",
+    label_event: "Event: {title}\n",
+    label_when: "Date: {date}, {time}\n",
+    label_total: "Total: {total}",
+    label_guests: "Guests: {people}\n",
+
+    book_ask_name: "What is your name?\n\nYou can reset the request or go back to the main menu at any time.",
+    catalog_title: "Which tour would you like?\n",
+    catalog_prices: "Adult: {adult}, child: {child}\n",
+    catalog_times: "Times: {times}\n",
+    slot_button: "{time} (places: {free})",
+    btn_to_calendar: "‹ Back to calendar",
+    session_expired: "This request has expired. Please start booking again.",
+    excursion_not_found: "Tour not found.",
+    ask_date: "{title}\nWhich date would you like?",
+    date_no_slots: "No tours are available on this date. Please choose another day.",
+    ask_time: "{title}\nDate: {date}\nWhat time?",
+    time_taken: "This time is no longer available. Please choose another one.",
+    slot_chosen: "{title}\nDate: {date}\nTime: {time}",
+    ask_people: "How many guests?",
+    pick_excursion: "Please choose a tour using the buttons.",
+    pick_date: "Please choose a date in the calendar.",
+    pick_time: "Date: {date}\nPlease choose a time using the buttons.",
+    pick_people: "Please choose the number of guests using the buttons below.",
+    slot_left:
+      "Places left at {time}: {free}. Choose fewer guests, or reset the request and pick another time.",
+    ask_children: "How many of them are children?",
+    pick_children: "Please choose the number of children using the buttons below.",
+    ask_contact: "Your phone number or Telegram username?",
+    invalid_contact:
+      "Please enter a valid contact.\nPhone (for example: +372 5123 4567) or Telegram username (@username).",
+    booking_sold_out:
+      "Sorry, the places for this time were taken while you were filling in the request. Please start again and choose another time.",
+    booking_sent: "Thank you! Your request has been sent. We will contact you to confirm it.\n\n",
+    total_group: "calculated individually for large groups",
+
+    // Waitlist
+    slot_waitlist_button: "{time} — full, join waitlist",
+    waitlist_slot_chosen:
+      "{title}\nDate: {date}\nTime: {time}\n\nThis time is fully booked — we will put you on the waitlist and send you an offer when places become free.",
+    waitlist_joined:
+      "You are on the waitlist: {title}, {date}, {time}, guests: {people}. Your place in the queue: {position}.\n" +
+      "When places become free, we will send you a message with a “Book” button.",
+    waitlist_offer: "Places are available: {title}, {date}, {time}, guests: {people}.\nThey are held for you until {until}. Book now?",
+    btn_waitlist_book: "✅ Book",
+    btn_waitlist_decline: "No, thanks",
+    btn_waitlist_join: "🕒 Join the waitlist",
+    waitlist_offer_expired: "This offer has expired — the places went to the next person in the queue.",
+    waitlist_declined: "OK, you have been removed from the waitlist.",
+    waitlist_join_unavailable: "The waitlist is not available for this booking.",
+
+    my_empty: "You have no current bookings.",
+    my_title: "Your bookings:\n",
+    my_status: ". Status: {status}\n",
+    my_reschedule: "Change requested to {when}\n",
+    btn_my_cancel: "❌ Cancel #{n}",
+    btn_my_move: "📅 Reschedule #{n}",
+    already_status: "This booking is already «{status}».",
+    my_past: "This visit has already taken place and can no longer be cancelled or rescheduled.",
+    my_cancel_ask: "Cancel the booking for {when}?",
+    btn_yes_cancel: "Yes, cancel",
+    btn_no: "No",
+    my_cancelled: "The booking for {when} has been cancelled.",
+    cancelled_toast: "Booking cancelled.",
+    move_unavailable: "This booking cannot be rescheduled. Please contact us.",
+    move_ask_date: "Rescheduling the booking for {when}.\nChoose a new date:",
+    reschedule_too_late: "This booking can no longer be rescheduled.",
+    reschedule_no_seats: "There are not enough places at this time for {count} guests.",
+    reschedule_sent: "Your request to move to {when} has been sent. We will let you know once it is confirmed.",
+    reschedule_sent_toast: "Request sent.",
+
+    booking_confirmed: "Your booking {id} is confirmed.",
+    booking_rejected: "Your booking {id} has been declined.",
+    reject_reason: "\nReason: {reason}",
+    reject_footer: "\n\nIf this is a mistake, please contact us.",
+    reject_reason_followup: "Reason your booking {id} was declined: {reason}",
+    reason_full: "No places left at this time",
+    reason_closed: "The farm is closed on this day",
+    reason_other_time: "Please choose another time",
+    reschedule_approved: "Your change is confirmed. Booking {id}: {when}.",
+    reschedule_declined: "Your change was not confirmed. Booking {id} stays on {when}. Contact us if needed.",
+    reminder: "Reminder: we are expecting you at Blue Cow Farm tomorrow, {date}, at {time}!\n",
+    reminder_confirm: "Please confirm your visit:",
+    btn_rsvp_yes: "✅ I'll come",
+    btn_rsvp_no: "❌ Can't come",
+    rsvp_already: "We already have your answer. Thank you!",
+    rsvp_yes: "Thank you! See you {when}.\n\n{address}",
+    rsvp_yes_toast: "See you!",
+    rsvp_no: "What a pity! The booking for {when} has been cancelled. We hope to see you another time.",
+
+    feedback_ask: "Thank you for visiting us: {title}, {date}!\nHow did you like it? Please rate your visit from 1 to 5:",
+    feedback_comment_ask: "Thank you for your rating {rating}/5! Write a few words about your visit — or press “Skip”.",
+    btn_feedback_skip: "Skip",
+    feedback_thanks: "Thank you for your feedback! We hope to see you again.",
+    feedback_already: "We already have your rating. Thank you!",
+    feedback_need_text: "Please write your feedback as text or press “Skip”.",
+
+    staff_message: "Message from Blue Cow Farm about booking {id}:\n\n{text}",
+    btn_reply: "↩️ Reply",
+    reply_cancelled: "Reply cancelled.",
+    reply_ask: "Write your reply in one message and we will pass it on to the farm.",
+    reply_need_text: "Please send your reply as text.",
+    reply_sent: "Your reply has been sent. Thank you!",
+
+    broadcast_footer: "\n\n—\nUnsubscribe from news: /stop",
+    stop_done: "You have unsubscribed from farm news. You will still receive updates about your bookings.\nTo get news again, send /start.",
+
+    stock_available: " (in stock: {stock})",
+    stock_none: " — out of stock",
+    btn_cart: "🧺 Cart ({count})",
+    cart_empty: "Your cart is empty.",
+    cart_empty_hint: "Your cart is empty. Open «{button}».",
+    cart_title: "Your cart:\n\n{items}\n\nTotal: {total}",
+    cart_added: "{title}: {qty} in cart",
+    btn_to_catalog: "🛒 Back to catalogue",
+    btn_cart_clear: "🗑 Clear",
+    btn_checkout: "✅ Place pre-order",
+    btn_back_to_cart: "🧺 Back to cart",
+    btn_other_date: "‹ Another date",
+    product_not_found: "Product not found.",
+    stock_only: "Only {stock} in stock ({unit}).",
+    pickup_ask_date: "When will you pick up your order? Choose a date:",
+    pickup_date_unavailable: "This date is not available.",
+    pickup_ask_time: "Pick-up date: {date}\nChoose a time:",
+    pickup_time_unavailable: "This time is not available.",
+    pickup_chosen: "Pick-up: {date}, {time}",
+    shop_short: "Not enough in stock: {items}. Please change your cart in «{button}».",
+    preorder_sent:
+      "Thank you! Your pre-order has been sent. We will confirm it shortly.\n\n" +
+      "{items}\n\nTotal: {total}\nPick-up: {date}, {time}, farm shop.",
+
+    events_empty: "There are no upcoming events right now. Stay tuned!",
+    events_title: "Upcoming events:\n",
+    event_price: "Price: {price}\n",
+    price_per_person: "{price} per person",
+    event_free_seats: "Places left: {free}\n",
+    btn_event_book: "Sign up: {title}",
+    event_closed: "Sign-up for this event is closed.",
+    event_full: "No places left.",
+    event_ask_name: "Signing up for «{title}», {date}, {time}.\n\nWhat is your name?",
+    ask_name: "What is your name?",
+    event_closed_flow: "Sorry, sign-up for this event is already closed.",
+    event_ask_people: "How many guests? Places left: {free}.",
+    event_sold_out: "Sorry, this event is fully booked.",
+    event_pick_people: "Please choose the number of guests using the buttons below (places left: {free}).",
+    event_sold_out_flow: "Sorry, this event became fully booked while you were filling in the request.",
+
+    // Mini App (/app)
+    btn_webapp: "📱 Book in the app",
+    app_title: "Book a tour",
+    app_name: "Your name",
+    app_excursion: "Tour",
+    app_date: "Date",
+    app_time: "Time",
+    app_people: "Guests",
+    app_children: "Of them children",
+    app_contact: "Phone or Telegram",
+    app_submit: "Send request",
+    app_fill_all: "Please fill in all fields.",
+    app_error: "Could not send the request. Please try again or book via the bot menu.",
+    app_no_dates: "There are no open dates for booking right now. Please check back later.",
+  },
+
+  et: {
+    welcome: "Tere tulemast Sinise Lehma tallu!\n\nValige tegevus:",
+    lang_set: "Keel: eesti.",
+    reset_done: "Taotlus on tühistatud. Võite uuesti alustada.",
+    fallback: "Aitäh! Võtame teiega ühendust.",
+    unknown_command: "Tundmatu käsk.",
+    not_found: "Broneeringut ei leitud.",
+
+    btn_book: "📅 Broneeri ekskursioon",
+    btn_events: "🎉 Üritused",
+    btn_my: "📋 Minu broneeringud",
+    btn_excursions: "🐄 Ekskursioonid",
+    btn_schedule: "📅 Lahtiolekuajad",
+    btn_products: "🛒 Talutooted",
+    btn_address: "📍 Kuidas kohale jõuda",
+    btn_reset: "🔄 Tühista taotlus",
+    btn_menu: "🏡 Peamenüü",
+    btn_language: "🌐 Keel",
+    btn_group_large: "üle 11",
+    btn_cancel: "Loobu",
+
+    months: [
+      "Jaanuar", "Veebruar", "Märts", "Aprill", "Mai", "Juuni",
+      "Juuli", "August", "September", "Oktoober", "November", "Detsember",
+    ],
+    calendar_weekdays: ["E", "T", "K", "N", "R", "L", "P"],
+    weekdays: ["P", "E", "T", "K", "N", "R", "L"],
+    unit_hours: "h",
+    unit_minutes: "min",
+    free: "tasuta",
+
+    status_new: "🆕 uus",
+    status_confirmed: "✅ kinnitatud",
+    status_cancelled: "❌ tagasi lükatud",
+    status_cancelled_by_user: "🚫 teie tühistatud",
+    status_reschedule_requested: "🔁 muutmine taotletud",
+
+    title_excursion: "Ekskursioon",
+    title_preorder: "Eeltellimus",
+    label_excursion: "Ekskursioon: {title}\n",
+    label_event: "Üritus: {title}\n",
+    label_when: "Kuupäev: {date}, {time}\n",
+    label_total: "Summa: {total}",
+    label_guests: "Külalisi: {people}\n",
+
+    book_ask_name: "Mis on teie nimi?\n\nTaotluse saab igal ajal tühistada või peamenüüsse naasta.",
+    catalog_title: "Millise ekskursiooni valite?\n",
+    catalog_prices: "Täiskasvanu: {adult}, laps: {child}\n",
+    catalog_times: "Kellaajad: {times}\n",
+    slot_button: "{time} (kohti: {free})",
+    btn_to_calendar: "‹ Kalendrisse",
+    session_expired: "Taotlus on aegunud. Alustage broneerimist uuesti.",
+    excursion_not_found: "Ekskursiooni ei leitud.",
+    ask_date: "{title}\nMis kuupäeval soovite tulla?",
+    date_no_slots: "Sellel kuupäeval vabu aegu pole. Valige teine päev.",
+    ask_time: "{title}\nKuupäev: {date}\nMis kellaks?",
+    time_taken: "See aeg ei ole enam saadaval. Valige teine.",
+    slot_chosen: "{title}\nKuupäev: {date}\nKellaaeg: {time}",
+    ask_people: "Mitu külalist tuleb?",
+    pick_excursion: "Palun valige ekskursioon nupuga.",
+    pick_date: "Palun valige kuupäev kalendrist.",
+    pick_time: "Kuupäev: {date}\nPalun valige kellaaeg nupuga.",
+    pick_people: "Palun valige külaliste arv allolevate nuppudega.",
+    slot_left:
+      "Kell {time} on vabu kohti: {free}. Valige väiksem külaliste arv või tühistage taotlus ja valige teine aeg.",
+    ask_children: "Mitu neist on lapsed?",
+    pick_children: "Palun valige laste arv allolevate nuppudega.",
+    ask_contact: "Teie telefon või Telegrami kasutajanimi?",
+    invalid_contact:
+      "Palun sisestage korrektne kontakt.\nTelefon (näiteks: +372 5123 4567) või Telegrami kasutajanimi (@username).",
+    booking_sold_out:
+      "Kahjuks said selle aja kohad täis, kuni te taotlust täitsite. Alustage uuesti ja valige teine aeg.",
+    booking_sent: "Aitäh! Teie taotlus on saadetud. Võtame kinnitamiseks teiega ühendust.\n\n",
+    total_group: "suurele grupile arvutatakse eraldi",
+
+    // Ootenimekiri
+    slot_waitlist_button: "{time} — täis, ootenimekirja",
+    waitlist_slot_chosen:
+      "{title}\nKuupäev: {date}\nKellaaeg: {time}\n\nVabu kohti praegu pole — lisame teid ootenimekirja ja saadame pakkumise, kui kohti vabaneb.",
+    waitlist_joined:
+      "Olete ootenimekirjas: {title}, {date}, {time}, külalisi: {people}. Järjekorranumber: {position}.\n" +
+      "Kui kohti vabaneb, saadame sõnumi nupuga „Broneeri“.",
+    waitlist_offer: "Kohti vabanes: {title}, {date}, {time}, külalisi: {people}.\nKohad on teile hoitud kuni {until}. Kas broneerida?",
+    btn_waitlist_book: "✅ Broneeri",
+    btn_waitlist_decline: "Loobun",
+    btn_waitlist_join: "🕒 Ootenimekirja",
+    waitlist_offer_expired: "Pakkumise aeg sai läbi — kohad anti järgmisele järjekorras.",
+    waitlist_declined: "Selge, eemaldasime teid ootenimekirjast.",
+    waitlist_join_unavailable: "Selle broneeringu jaoks ootenimekiri pole saadaval.",
+
+    my_empty: "Teil ei ole praegu kehtivaid broneeringuid.",
+    my_title: "Teie broneeringud:\n",
+    my_status: ". Olek: {status}\n",
+    my_reschedule: "Taotletud muutmine: {when}\n",
+    btn_my_cancel: "❌ Tühista nr {n}",
+    btn_my_move: "📅 Muuda aega nr {n}",
+    already_status: "Broneeringu olek on juba «{status}».",
+    my_past: "See külastus on juba toimunud, seda ei saa enam tühistada ega aega muuta.",
+    my_cancel_ask: "Kas tühistada broneering {when}?",
+    btn_yes_cancel: "Jah, tühista",
+    btn_no: "Ei",
+    my_cancelled: "Broneering {when} on tühistatud.",
+    cancelled_toast: "Broneering tühistatud.",
+    move_unavailable: "Selle broneeringu aega ei saa muuta. Võtke meiega ühendust.",
+    move_ask_date: "Broneeringu {when} aja muutmine.\nValige uus kuupäev:",
+    reschedule_too_late: "Selle broneeringu aega ei saa enam muuta.",
+    reschedule_no_seats: "Sellel ajal ei ole {count} külalisele piisavalt kohti.",
+    reschedule_sent: "Taotlus muuta aeg {when} on saadetud. Anname teada, kui see on kinnitatud.",
+    reschedule_sent_toast: "Taotlus saadetud.",
+
+    booking_confirmed: "Teie broneering {id} on kinnitatud.",
+    booking_rejected: "Teie broneering {id} lükati tagasi.",
+    reject_reason: "\nPõhjus: {reason}",
+    reject_footer: "\n\nKui see on viga, võtke meiega ühendust.",
+    reject_reason_followup: "Broneeringu {id} tagasilükkamise põhjus: {reason}",
+    reason_full: "Sellel ajal ei ole vabu kohti",
+    reason_closed: "Talu on sel päeval suletud",
+    reason_other_time: "Palun valige teine aeg",
+    reschedule_approved: "Aja muutmine on kinnitatud. Teie broneering {id}: {when}.",
+    reschedule_declined: "Aja muutmist ei kinnitatud. Broneering {id} jääb ajale {when}. Vajadusel võtke meiega ühendust.",
+    reminder: "Meeldetuletus: ootame teid homme, {date}, kell {time} Sinise Lehma tallu!\n",
+    reminder_confirm: "Palun kinnitage oma külastus:",
+    btn_rsvp_yes: "✅ Tulen",
+    btn_rsvp_no: "❌ Ei saa tulla",
+    rsvp_already: "Teie vastus on juba käes. Aitäh!",
+    rsvp_yes: "Aitäh! Ootame teid {when}.\n\n{address}",
+    rsvp_yes_toast: "Ootame teid!",
+    rsvp_no: "Kahju! Broneering {when} on tühistatud. Ootame teid mõni teine kord.",
+
+    feedback_ask: "Aitäh, et külastasite meid: {title}, {date}!\nKuidas meeldis? Palun hinnake külastust 1 kuni 5:",
+    feedback_comment_ask: "Aitäh hinnangu {rating}/5 eest! Kirjutage paar sõna külastusest — või vajutage „Jäta vahele“.",
+    btn_feedback_skip: "Jäta vahele",
+    feedback_thanks: "Aitäh tagasiside eest! Ootame teid jälle.",
+    feedback_already: "Teie hinnang on juba käes. Aitäh!",
+    feedback_need_text: "Kirjutage tagasiside tekstina või vajutage „Jäta vahele“.",
+
+    staff_message: "Sõnum Sinise Lehma talult broneeringu {id} kohta:\n\n{text}",
+    btn_reply: "↩️ Vasta",
+    reply_cancelled: "Vastamine tühistatud.",
+    reply_ask: "Kirjutage vastus ühe sõnumina — edastame selle talule.",
+    reply_need_text: "Palun saatke vastus tekstina.",
+    reply_sent: "Vastus on saadetud. Aitäh!",
+
+    broadcast_footer: "\n\n—\nUudistest loobumine: /stop",
+    stop_done: "Loobusite talu uudistest. Teated teie broneeringute kohta tulevad endiselt.\nUudiste uuesti saamiseks saatke /start.",
+
+    stock_available: " (laos: {stock})",
+    stock_none: " — otsas",
+    btn_cart: "🧺 Ostukorv ({count})",
+    cart_empty: "Ostukorv on tühi.",
+    cart_empty_hint: "Ostukorv on tühi. Avage «{button}».",
+    cart_title: "Teie ostukorv:\n\n{items}\n\nKokku: {total}",
+    cart_added: "{title}: korvis {qty}",
+    btn_to_catalog: "🛒 Kataloogi",
+    btn_cart_clear: "🗑 Tühjenda",
+    btn_checkout: "✅ Vormista eeltellimus",
+    btn_back_to_cart: "🧺 Tagasi ostukorvi",
+    btn_other_date: "‹ Teine kuupäev",
+    product_not_found: "Toodet ei leitud.",
+    stock_only: "Laos on ainult {stock} ({unit}).",
+    pickup_ask_date: "Millal tellimusele järele tulete? Valige kuupäev:",
+    pickup_date_unavailable: "See kuupäev ei ole saadaval.",
+    pickup_ask_time: "Kättesaamise kuupäev: {date}\nValige kellaaeg:",
+    pickup_time_unavailable: "See kellaaeg ei ole saadaval.",
+    pickup_chosen: "Kättesaamine: {date}, {time}",
+    shop_short: "Laos ei ole piisavalt: {items}. Muutke ostukorvi jaotises «{button}».",
+    preorder_sent:
+      "Aitäh! Eeltellimus on saadetud. Kinnitame selle peagi.\n\n" +
+      "{items}\n\nSumma: {total}\nKättesaamine: {date}, {time}, talupood.",
+
+    events_empty: "Praegu ei ole üritusi plaanis. Jälgige uudiseid!",
+    events_title: "Eelseisvad üritused:\n",
+    event_price: "Hind: {price}\n",
+    price_per_person: "{price} inimese kohta",
+    event_free_seats: "Vabu kohti: {free}\n",
+    btn_event_book: "Registreeru: {title}",
+    event_closed: "Sellele üritusele registreerimine on suletud.",
+    event_full: "Vabu kohti ei ole.",
+    event_ask_name: "Registreerimine: «{title}», {date}, {time}.\n\nMis on teie nimi?",
+    ask_name: "Mis on teie nimi?",
+    event_closed_flow: "Kahjuks on sellele üritusele registreerimine juba suletud.",
+    event_ask_people: "Mitu külalist tuleb? Vabu kohti: {free}.",
+    event_sold_out: "Kahjuks on üritus täis.",
+    event_pick_people: "Palun valige külaliste arv allolevate nuppudega (vabu kohti: {free}).",
+    event_sold_out_flow: "Kahjuks sai üritus täis, kuni te taotlust täitsite.",
+
+    // Mini App (/app)
+    btn_webapp: "📱 Broneeri rakenduses",
+    app_title: "Ekskursiooni broneerimine",
+    app_name: "Teie nimi",
+    app_excursion: "Ekskursioon",
+    app_date: "Kuupäev",
+    app_time: "Kellaaeg",
+    app_people: "Külalisi",
+    app_children: "Neist lapsi",
+    app_contact: "Telefon või Telegram",
+    app_submit: "Saada taotlus",
+    app_fill_all: "Palun täitke kõik väljad.",
+    app_error: "Taotlust ei õnnestunud saata. Proovige uuesti või broneerige boti menüü kaudu.",
+    app_no_dates: "Praegu pole broneerimiseks avatud kuupäevi. Vaadake hiljem uuesti.",
+  },
+};
+
+// Сколько хранить отметку об обработанном update_id (Telegram ретраит недолго)
+const UPDATE_DEDUP_TTL_SEC = 86400;
+
+// Выгрузка заявок (/export, /export.csv, /calendar.ics): каждый день диапазона — отдельное чтение idx:date:*
+const EXPORT_MAX_DAYS = 92;
+const EXPORT_CSV_COLUMNS = ["id", "status", "name", "date", "time", "people", "contact", "type"];
+// Календарь-подписка без from/to: прошедшая неделя и весь горизонт записи
+const ICS_PAST_DAYS = 7;
+
+// Веб-панель сотрудников (/admin): вход по одноразовой ссылке из /web, сессия — в cookie.
+// STATE: weblogin:<token> (ссылка), websession:<id> => { user, csrf, flash }
+const WEB_LOGIN_TTL_SEC = 600;
+const WEB_SESSION_TTL_SEC = 43200;
+const WEB_SESSION_COOKIE = "farm_admin";
+// Таблица со статусом без периода читает индекс статуса постранично (по заявке на чтение KV)
+const WEB_TABLE_PAGE_SIZE = 50;
+
+// Mini App (/app): initData старше суток не принимаем (защита от повтора перехваченной формы)
+const WEBAPP_INIT_MAX_AGE_SEC = 86400;
+// Количество гостей в форме — те же варианты, что кнопки ex_people
+const EXCURSION_PEOPLE_OPTIONS = ["1", "2", "3", "4", "5", "6", "6-10", "11+"];
+
+// Текст на языке lang с подстановкой {param}; массивы (месяцы, дни недели) — как есть
+function translate(lang, key, params = {}) {
+  const value = I18N[lang]?.[key] ?? I18N[DEFAULT_LANG][key] ?? key;
+  if (typeof value !== "string") return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// language_code из Telegram => язык бота: ru/uk/be/kk — русский, et — эстонский, прочие — английский
+function detectLang(languageCode) {
+  const code = String(languageCode || "").toLowerCase().split("-")[0];
+  if (!code || ["ru", "uk", "be", "kk"].includes(code)) return "ru";
+  return LANGUAGES[code] ? code : "en";
+}
+
+// Поле каталога (title, unit) на языке гостя из item.i18n, иначе русское
+function localize(item, field, lang) {
+  return item?.i18n?.[lang]?.[field] || item?.[field];
+}
+
+// Текст кнопки reply-клавиатуры на любом из языков => действие из BUTTON_ACTIONS
+function resolveButton(text) {
+  for (const lang of Object.keys(LANGUAGES)) {
+    const action = BUTTON_ACTIONS.find((a) => translate(lang, `btn_${a}`) === text);
+    if (action) return action;
+  }
+  return null;
+}
+
+// Подписи ролей STAFF_ROLES с правом permission (без ролей, у которых есть except) через «или»
+function formatRolesWith(permission, except = null) {
+  return Object.values(STAFF_ROLES)
+    .filter((role) => role.permissions.includes(permission) && !(except && role.permissions.includes(except)))
+    .map((role) => role.label)
+    .join(" или ");
+}
+
+// Отказ сотруднику: кто может действие, — по ролям с правом. Решения по заявке (decide)
+// по предзаказам магазина принимают и роли с правом preorders (см. canDecide).
+function formatPermissionDenied(action, permission) {
+  let text = `Недостаточно прав: ${action} может ${formatRolesWith(permission)}`;
+  const preorderRoles = permission === "decide" ? formatRolesWith("preorders", "decide") : "";
+  if (preorderRoles) text += `, предзаказы магазина — также ${preorderRoles}`;
+  return `${text}.`;
+}
+
+// Текст для HTML веб-панели
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// HMAC-SHA256 (Web Crypto): key — строка или байты, результат — байты
+async function hmacSha256(key, data) {
+  const encoder = new TextEncoder();
+  const cryptoKey = await crypto.subtle.importKey(
+    "raw",
+    typeof key === "string" ? encoder.encode(key) : key,
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  return new Uint8Array(await crypto.subtle.sign("HMAC", cryptoKey, encoder.encode(data)));
+}
+
+// Сравнение строк за постоянное время (секрет webhook)
+function safeEqual(a, b) {
+  a = String(a || "");
+  b = String(b || "");
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Mini App (/app): страница и скрипт формы. Тексты и данные — из /app/api/catalog и /app/api/slots,
+// отправка — POST /app/api/book с initData или Telegram.WebApp.sendData (см. handleWebAppRequest).
+const WEBAPP_HTML = `<!doctype html>
+<html><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1">
+<title>Ферма Голубой Коровы</title>
+<script src="https://telegram.org/js/telegram-web-app.js"></script>
+<style>
+body{font:15px/1.4 system-ui,sans-serif;margin:0;padding:12px 16px 32px;
+  background:var(--tg-theme-bg-color,#fff);color:var(--tg-theme-text-color,#222)}
+h1{font-size:20px;margin:4px 0 12px}label{display:block;margin:14px 0 6px;font-weight:600}
+input,select{width:100%;box-sizing:border-box;padding:10px;font-size:16px;border:1px solid #ccc;border-radius:8px;
+  background:var(--tg-theme-secondary-bg-color,#fff);color:inherit}
+button{font:inherit;border:0;border-radius:8px;padding:10px;cursor:pointer;
+  background:var(--tg-theme-secondary-bg-color,#f0f0f0);color:inherit}
+button.on{background:var(--tg-theme-button-color,#2a7de1);color:var(--tg-theme-button-text-color,#fff)}
+button:disabled{opacity:.35;cursor:default}
+.choice{display:block;width:100%;text-align:left;margin:6px 0}.muted{opacity:.7;font-size:13px}
+.cal-head{display:flex;justify-content:space-between;align-items:center}
+.grid{display:grid;grid-template-columns:repeat(7,1fr);gap:4px;text-align:center}
+.slots button{margin:4px 6px 4px 0}
+.submit{width:100%;margin-top:20px;padding:14px}.error{color:#d33;margin-top:12px}.done{margin-top:16px;white-space:pre-line}
+</style></head>
+<body><div id="app"></div><script src="/app/app.js"></script></body></html>`;
+
+const WEBAPP_JS = `(function () {
+  var tg = window.Telegram && window.Telegram.WebApp;
+  if (tg) { tg.ready(); tg.expand(); }
+  var user = tg && tg.initDataUnsafe && tg.initDataUnsafe.user;
+  var lang = new URLSearchParams(location.search).get("lang") || (user && user.language_code) || "";
+  var app = document.getElementById("app");
+  var S = {};
+  var catalog = null;
+  var state = { excursion: null, date: null, time: null, month: null };
+  var nodes = {};
+
+  function el(tag, props, children) {
+    var node = document.createElement(tag);
+    Object.keys(props || {}).forEach(function (key) { node[key] = props[key]; });
+    (children || []).forEach(function (child) { if (child) node.appendChild(child); });
+    return node;
+  }
+
+  function showError(text) { nodes.error.textContent = text || ""; }
+
+  function renderExcursions() {
+    nodes.excursions.textContent = "";
+    catalog.excursions.forEach(function (e) {
+      var b = el("button", { type: "button", className: "choice" + (state.excursion === e.id ? " on" : "") }, [
+        el("div", { textContent: e.title }), el("div", { className: "muted", textContent: e.details }),
+      ]);
+      b.onclick = function () { state.excursion = e.id; state.time = null; renderExcursions(); loadSlots(); };
+      nodes.excursions.appendChild(b);
+    });
+  }
+
+  function renderCalendar() {
+    nodes.calendar.textContent = "";
+    if (!catalog.dates.length) {
+      nodes.calendar.appendChild(el("div", { className: "muted", textContent: S.app_no_dates }));
+      return;
+    }
+    var open = {};
+    catalog.dates.forEach(function (d) { open[d] = true; });
+    var months = catalog.dates.map(function (d) { return d.slice(0, 7); })
+      .filter(function (m, i, all) { return all.indexOf(m) === i; });
+    if (!state.month) state.month = months[0];
+    var index = months.indexOf(state.month);
+    var parts = state.month.split("-");
+    var year = Number(parts[0]);
+    var month = Number(parts[1]);
+    var prev = el("button", { type: "button", textContent: "‹", disabled: index <= 0 });
+    var next = el("button", { type: "button", textContent: "›", disabled: index >= months.length - 1 });
+    prev.onclick = function () { state.month = months[index - 1]; renderCalendar(); };
+    next.onclick = function () { state.month = months[index + 1]; renderCalendar(); };
+    var grid = el("div", { className: "grid" });
+    S.calendar_weekdays.forEach(function (w) { grid.appendChild(el("div", { className: "muted", textContent: w })); });
+    var first = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+    var days = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    for (var i = 0; i < first; i++) grid.appendChild(el("div"));
+    for (var day = 1; day <= days; day++) {
+      var iso = state.month + "-" + String(day).padStart(2, "0");
+      var b = el("button", { type: "button", textContent: String(day), disabled: !open[iso],
+        className: state.date === iso ? "on" : "" });
+      b.onclick = (function (date) {
+        return function () { state.date = date; state.time = null; renderCalendar(); loadSlots(); };
+      })(iso);
+      grid.appendChild(b);
+    }
+    nodes.calendar.appendChild(el("div", { className: "cal-head" }, [
+      prev, el("strong", { textContent: S.months[month - 1] + " " + year }), next,
+    ]));
+    nodes.calendar.appendChild(grid);
+  }
+
+  function loadSlots() {
+    nodes.slots.textContent = "";
+    if (!state.excursion || !state.date) return;
+    fetch("/app/api/slots?excursion=" + encodeURIComponent(state.excursion) + "&date=" + state.date)
+      .then(function (r) { return r.json(); })
+      .then(function (res) {
+        nodes.slots.textContent = "";
+        if (!res.slots.length) { nodes.slots.appendChild(el("div", { className: "muted", textContent: S.date_no_slots })); return; }
+        res.slots.forEach(function (slot) {
+          var b = el("button", { type: "button", textContent: slot.time + " (" + slot.free + ")",
+            className: state.time === slot.time ? "on" : "" });
+          b.onclick = function () { state.time = slot.time; loadSlots(); };
+          nodes.slots.appendChild(b);
+        });
+      })
+      .catch(function () { showError(S.app_error); });
+  }
+
+  function renderChildren() {
+    var people = nodes.people.value;
+    var group = people === "6-10" || people === "11+";
+    nodes.childrenLabel.style.display = nodes.children.style.display = group ? "none" : "";
+    nodes.children.textContent = "";
+    for (var i = 0; i <= (group ? 0 : Number(people)); i++) {
+      nodes.children.appendChild(el("option", { value: String(i), textContent: String(i) }));
+    }
+  }
+
+  function submit() {
+    var form = {
+      name: nodes.name.value.trim(),
+      excursion: state.excursion,
+      date: state.date,
+      time: state.time,
+      people: nodes.people.value,
+      children: Number(nodes.children.value) || 0,
+      contact: nodes.contact.value.trim(),
+    };
+    if (!form.name || !form.excursion || !form.date || !form.time || !form.contact) { showError(S.app_fill_all); return; }
+    showError("");
+    if (tg && tg.initData) {
+      nodes.submit.disabled = true;
+      fetch("/app/api/book", { method: "POST", headers: { "content-type": "application/json" },
+        body: JSON.stringify({ initData: tg.initData, form: form }) })
+        .then(function (r) { return r.json(); })
+        .then(function (res) {
+          if (!res.ok) { nodes.submit.disabled = false; showError(res.error || S.app_error); return; }
+          app.textContent = "";
+          app.appendChild(el("div", { className: "done", textContent: res.text }));
+          setTimeout(function () { tg.close(); }, 3000);
+        })
+        .catch(function () { nodes.submit.disabled = false; showError(S.app_error); });
+    } else if (tg && tg.sendData) {
+      tg.sendData(JSON.stringify(form));
+    } else {
+      showError(S.app_error);
+    }
+  }
+
+  function render() {
+    nodes.name = el("input", { value: (user && user.first_name) || "", maxLength: 100 });
+    nodes.excursions = el("div");
+    nodes.calendar = el("div");
+    nodes.slots = el("div", { className: "slots" });
+    nodes.people = el("select");
+    catalog.people.forEach(function (v) {
+      var label = v === "6-10" ? S.btn_group_small : v === "11+" ? S.btn_group_large : v;
+      nodes.people.appendChild(el("option", { value: v, textContent: label }));
+    });
+    nodes.people.value = "2";
+    nodes.people.onchange = renderChildren;
+    nodes.childrenLabel = el("label", { textContent: S.app_children });
+    nodes.children = el("select");
+    nodes.contact = el("input", { type: "tel", placeholder: "+7 999 123-45-67 / @username" });
+    nodes.error = el("div", { className: "error" });
+    nodes.submit = el("button", { type: "button", className: "submit on", textContent: S.app_submit });
+    nodes.submit.onclick = submit;
+    [
+      el("h1", { textContent: S.app_title }),
+      el("label", { textContent: S.app_name }), nodes.name,
+      el("label", { textContent: S.app_excursion }), nodes.excursions,
+      el("label", { textContent: S.app_date }), nodes.calendar,
+      el("label", { textContent: S.app_time }), nodes.slots,
+      el("label", { textContent: S.app_people }), nodes.people,
+      nodes.childrenLabel, nodes.children,
+      el("label", { textContent: S.app_contact }), nodes.contact,
+      nodes.error, nodes.submit,
+    ].forEach(function (node) { app.appendChild(node); });
+    renderExcursions();
+    renderCalendar();
+    renderChildren();
+  }
+
+  fetch("/app/api/catalog?lang=" + encodeURIComponent(lang))
+    .then(function (r) { return r.json(); })
+    .then(function (res) { catalog = res; S = res.strings; render(); })
+    .catch(function () { app.textContent = "Error"; });
+})();
+`;
+
+// Бот собирается один раз на env (createWorker) и обслуживает все запросы webhook и запуски Cron Trigger:
+// хелперы, обработчики и маршрутизаторы создаются здесь один раз, данные запроса приходят аргументами
+// (апдейт — в ctx, адрес воркера — handleUpdate(update, { origin })).
+// telegram — клиент Bot API (src/telegram.js); KV берутся из env, тесты передают свои реализации.
+// createUpdateContext и routers открыты для тестов: шаг или кнопку можно вызвать без полного апдейта.
+export function createBot(env, { telegram = createTelegramApi(env.BOT_TOKEN) } = {}) {
+  // --- Update helpers (message + callback_query) ---
+  function getChatId(u) {
+    return u?.message?.chat?.id ?? u?.callback_query?.message?.chat?.id ?? null;
+  }
+
+  function getFromId(u) {
+    return u?.message?.from?.id ?? u?.callback_query?.from?.id ?? null;
+  }
+
+  // --- Config (KV: BOOKINGS, "config:*") ---
+  // Читается из KV один раз за запрос (календарь обращается к слотам на каждый день). Бот общий
+  // для запросов изолята (см. createWorker): кэш сбрасывается в начале каждого запроса, а хранит промис —
+  // параллельный запрос не увидит значение, которое ещё читается.
+  const configCache = new Map();
+  function readConfig(key, fallback, parse) {
+    if (!configCache.has(key)) {
+      const pending = env.BOOKINGS.get(key).then((raw) => {
+        if (!raw) return fallback;
+        try {
+          return parse(JSON.parse(raw));
+        } catch (e) {
+          console.log(`${key} parse error`, String(e));
+          return fallback;
+        }
+      });
+      configCache.set(key, pending);
+    }
+    return configCache.get(key);
+  }
+
+  // --- Staff & roles ---
+  // config:staff => { members: [{ id, role, name, addedAt, addedBy }] }
+  function getStaff() {
+    return readConfig("config:staff", [], (rec) => rec.members || []);
+  }
+
+  async function getStaffRole(userId) {
+    if (userId === null || userId === undefined) return null;
+    if (env.ADMIN_USER_ID && String(userId) === String(env.ADMIN_USER_ID)) return "owner";
+    const member = (await getStaff()).find((m) => String(m.id) === String(userId));
+    return STAFF_ROLES[member?.role] ? member.role : null;
+  }
+
+  async function hasPermission(userId, permission) {
+    const role = await getStaffRole(userId);
+    return Boolean(role && STAFF_ROLES[role].permissions.includes(permission));
+  }
+
+  // Решение по заявке: decide — любые заявки, preorders — только предзаказы магазина
+  async function canDecide(userId, booking) {
+    if (await hasPermission(userId, "decide")) return true;
+    return booking?.type === "preorder" && (await hasPermission(userId, "preorders"));
+  }
+
+  // Telegram user => "Имя Фамилия (@username)"
+  function formatActorName(user) {
+    if (!user) return "—";
+    const name = [user.first_name, user.last_name].filter(Boolean).join(" ") || String(user.id);
+    return user.username ? `${name} (@${user.username})` : name;
+  }
+
+  // --- Telegram helpers ---
+  async function callTelegram(method, payload) {
+    const res = await telegram.call(method, payload);
+    if (!res.ok) {
+      console.log("TG_ERROR", method, res.status, res.body, payload);
+    }
+    await handleDeliveryError(method, payload?.chat_id, res);
+    return res;
+  }
+
+  // 403 при отправке сообщения — бот заблокирован: чат больше не получает рассылку.
+  // 403 на editMessageText / answerCallbackQuery о блокировке не говорит.
+  async function handleDeliveryError(method, chatId, res) {
+    if (res.status !== 403 || chatId === undefined) return;
+    if (method === "sendMessage" || method === "sendDocument") await removeSubscriber(chatId);
+  }
+
+  async function sendMessage(chatId, text, keyboard = null) {
+    const payload = { chat_id: chatId, text };
+    if (keyboard) payload.reply_markup = keyboard;
+    return callTelegram("sendMessage", payload);
+  }
+
+  async function editMessageText(chatId, messageId, text, keyboard = null) {
+    const payload = { chat_id: chatId, message_id: messageId, text };
+    if (keyboard) payload.reply_markup = keyboard;
+    await callTelegram("editMessageText", payload);
+  }
+
+  async function sendPhoto(chatId, photo, caption = "", keyboard = null) {
+    const payload = { chat_id: chatId, photo };
+    if (caption) payload.caption = caption;
+    if (keyboard) payload.reply_markup = keyboard;
+    return callTelegram("sendPhoto", payload);
+  }
+
+  async function sendLocation(chatId, location, keyboard = null) {
+    const payload = { chat_id: chatId, latitude: location.latitude, longitude: location.longitude };
+    if (keyboard) payload.reply_markup = keyboard;
+    return callTelegram("sendLocation", payload);
+  }
+
+  // Файл из памяти: sendDocument принимает содержимое только как multipart/form-data
+  async function sendDocument(chatId, filename, content, mimeType, caption = "") {
+    const form = new FormData();
+    form.append("chat_id", String(chatId));
+    form.append("document", new Blob([content], { type: mimeType }), filename);
+    if (caption) form.append("caption", caption);
+    const res = await telegram.upload("sendDocument", form);
+    if (!res.ok) {
+      console.log("TG_ERROR", "sendDocument", res.status, res.body, { chat_id: chatId, filename });
+    }
+    await handleDeliveryError("sendDocument", chatId, res);
+    return res;
+  }
+
+  async function answerCallbackQuery(callbackQueryId, text, showAlert = false) {
+    const payload = { callback_query_id: callbackQueryId, text, show_alert: showAlert };
+    await callTelegram("answerCallbackQuery", payload);
+  }
+
+  // Уведомление в админский чат (ADMIN_CHAT_ID)
+  async function notifyAdmin(text, keyboard = null) {
+    if (!env.ADMIN_CHAT_ID) {
+      console.log("ADMIN_CHAT_ID is empty — cannot notify admin");
+      return;
+    }
+    await sendMessage(env.ADMIN_CHAT_ID, text, keyboard);
+  }
+
+  // --- KV helpers for bookings ---
+  async function getBooking(bookingId) {
+    const raw = await env.BOOKINGS.get(`booking:${bookingId}`);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.log("BOOKINGS parse error", String(e));
+      return null;
+    }
+  }
+
+  // Сохраняет заявку и поддерживает индексы по дате и статусу
+  async function saveBooking(booking) {
+    if (!booking?.id) return;
+    const prev = await getBooking(booking.id);
+    await env.BOOKINGS.put(`booking:${booking.id}`, JSON.stringify(booking));
+    await updateBookingIndexes(prev, booking);
+  }
+
+  // KV не поддерживает транзакции, поэтому: читаем запись, пишем новое значение
+  // с уникальной ревизией и перечитываем. Если ревизию перезаписал параллельный
+  // запрос — повторяем с актуальным значением.
+  // mutate(current) возвращает новое значение или null (отказ без записи).
+  // metadata(next) — метаданные ключа KV: их отдаёт list без чтения самих записей.
+  async function updateKvRecord(key, mutate, { metadata = null } = {}) {
+    const read = async () => {
+      const raw = await env.BOOKINGS.get(key);
+      if (!raw) return { rev: null };
+      try {
+        return JSON.parse(raw);
+      } catch (e) {
+        console.log("KV record parse error", key, String(e));
+        return { rev: null };
+      }
+    };
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const current = await read();
+      const next = mutate(current);
+      if (next === null) return { ok: false, value: current };
+
+      const rev = crypto.randomUUID();
+      await env.BOOKINGS.put(key, JSON.stringify({ ...next, rev }), metadata ? { metadata: metadata(next) } : {});
+      const check = await read();
+      if (check.rev === rev) return { ok: true, value: next };
+    }
+    console.log("KV record update conflict", key);
+    return { ok: false, value: await read() };
+  }
+
+  // --- Booking indexes (KV: BOOKINGS) ---
+  // idx:date:<YYYY-MM-DD>, idx:status:<status>, idx:chat:<chatId> => { ids: [...] }
+  function getBookingIndexKeys(booking) {
+    if (!booking) return [];
+    const keys = [`idx:status:${booking.status}`];
+    if (booking.chatId) keys.push(`idx:chat:${booking.chatId}`);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(booking.data?.date))) keys.push(`idx:date:${booking.data.date}`);
+    if (booking.data?.eventId) keys.push(`idx:event:${booking.data.eventId}`);
+    return keys;
+  }
+
+  async function updateBookingIndexes(prev, booking) {
+    const before = getBookingIndexKeys(prev);
+    const after = getBookingIndexKeys(booking);
+    for (const key of before) {
+      if (after.includes(key)) continue;
+      await updateKvRecord(key, (rec) => ({ ids: (rec.ids || []).filter((id) => id !== booking.id) }));
+    }
+    for (const key of after) {
+      if (before.includes(key)) continue;
+      await updateKvRecord(key, (rec) => {
+        const ids = rec.ids || [];
+        return ids.includes(booking.id) ? null : { ids: [...ids, booking.id] };
+      });
+    }
+  }
+
+  async function getIndexIds(indexKey) {
+    const raw = await env.BOOKINGS.get(indexKey);
+    if (!raw) return [];
+    try {
+      return JSON.parse(raw).ids || [];
+    } catch (e) {
+      console.log("INDEX parse error", indexKey, String(e));
+      return [];
+    }
+  }
+
+  async function getIndexedBookings(indexKey) {
+    const ids = await getIndexIds(indexKey);
+    const bookings = [];
+    for (const id of ids) {
+      const booking = await getBooking(id);
+      if (booking) bookings.push(booking);
+    }
+    return bookings;
+  }
+
+  // Booking ID without underscores (prevents Markdown/entity issues even if parse_mode is used elsewhere)
+  // data.data.date — ISO-дата визита (YYYY-MM-DD)
+  function generateBookingId(data) {
+    const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+    const eventPart = data?.data?.date || "na";
+    const ts = Date.now();
+    return `bk-${eventPart}-${today}-${ts}`;
+  }
+
+  // data.lang — язык гостя: на нём уходят подтверждение, отказ, напоминания и сообщения фермы
+  // data.seats (optional): { key, count, capacity, manual }
+  // - manual=false: места резервируются сразу; если мест нет — возвращается null
+  // - manual=true: большая группа, места резервирует админ при подтверждении
+  async function createBooking(data) {
+    const id = generateBookingId(data);
+    const booking = {
+      id,
+      type: data.type || "unknown",
+      chatId: data.chatId,
+      status: "new",
+      createdAt: Date.now(),
+      people: data.people || 0,
+      lang: data.lang || DEFAULT_LANG,
+      data: data.data || {},
+    };
+
+    if (data.seats) {
+      booking.seats = {
+        key: data.seats.key,
+        count: data.seats.count,
+        capacity: data.seats.capacity,
+        manual: Boolean(data.seats.manual),
+        held: false,
+      };
+      if (data.seats.held) {
+        // Места уже удержаны вызывающим (предложение из листа ожидания)
+        booking.seats.held = true;
+      } else if (!booking.seats.manual) {
+        const res = await reserveSeats(booking.seats.key, booking.seats.count, booking.seats.capacity);
+        if (!res.ok) return null;
+        booking.seats.held = true;
+      }
+    }
+
+    await saveBooking(booking);
+    if (booking.chatId) await addSubscriber(booking.chatId, { lang: booking.lang, source: "booking" });
+    return booking;
+  }
+
+  // --- Dates (farm local time) ---
+  // Дата фермы в формате YYYY-MM-DD со сдвигом в днях от сегодня
+  function farmDateIso(offsetDays = 0) {
+    const d = new Date(Date.now() + FARM_UTC_OFFSET_MIN * 60000 + offsetDays * 86400000);
+    return d.toISOString().slice(0, 10);
+  }
+
+  // "2026-11-02", "11:30" => "2026-11-02T11:30:00+03:00" (data.startsAt заявки)
+  function farmStartsAt(date, time) {
+    const offset = Math.abs(FARM_UTC_OFFSET_MIN);
+    const hh = String(Math.floor(offset / 60)).padStart(2, "0");
+    const mm = String(offset % 60).padStart(2, "0");
+    return `${date}T${time}:00${FARM_UTC_OFFSET_MIN < 0 ? "-" : "+"}${hh}:${mm}`;
+  }
+
+  // "2026-11-02" => "02.11.2026"
+  function formatDateRu(iso) {
+    const [y, m, d] = String(iso).split("-");
+    if (!y || !m || !d) return String(iso);
+    return `${d}.${m}.${y}`;
+  }
+
+  function weekdayShort(iso, lang = DEFAULT_LANG) {
+    return translate(lang, "weekdays")[new Date(`${iso}T00:00:00Z`).getUTCDay()];
+  }
+
+  // Дата заявки для сообщений: ISO => "02.11.2026 (пн)", старые текстовые даты — как есть
+  function formatBookingDate(date, lang = DEFAULT_LANG) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) return String(date);
+    return `${formatDateRu(date)} (${weekdayShort(date, lang)})`;
+  }
+
+  // timestamp => "19.10.2026 12:34" (время фермы)
+  function formatDateTime(ts) {
+    const iso = new Date(ts + FARM_UTC_OFFSET_MIN * 60000).toISOString();
+    return `${formatDateRu(iso.slice(0, 10))} ${iso.slice(11, 16)}`;
+  }
+
+  // "2026-11" => "2026-12" (delta = +1) / "2026-10" (delta = -1)
+  function shiftMonth(ym, delta) {
+    const [y, m] = ym.split("-").map(Number);
+    const d = new Date(Date.UTC(y, m - 1 + delta, 1));
+    return d.toISOString().slice(0, 7);
+  }
+
+  // --- Schedule (KV: BOOKINGS) ---
+  async function getSchedule() {
+    const raw = await env.BOOKINGS.get("config:schedule");
+    if (!raw) return DEFAULT_SCHEDULE;
+    try {
+      return { ...DEFAULT_SCHEDULE, ...JSON.parse(raw) };
+    } catch (e) {
+      console.log("config:schedule parse error", String(e));
+      return DEFAULT_SCHEDULE;
+    }
+  }
+
+  // День открыт для записи: не в прошлом, в пределах горизонта, не выходной
+  function isDateOpen(schedule, date) {
+    if (date < farmDateIso(0) || date > farmDateIso(BOOKING_DAYS_AHEAD - 1)) return false;
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+    if ((schedule.closedWeekdays || []).includes(weekday)) return false;
+    if ((schedule.closedDates || []).includes(date)) return false;
+    return true;
+  }
+
+  // "11:30" + 90 => "13:00"
+  function addMinutesHm(hm, minutes) {
+    const [h, m] = hm.split(":").map(Number);
+    const total = h * 60 + m + minutes;
+    return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  // --- Excursion catalog (KV: BOOKINGS) ---
+  function getExcursions() {
+    return readConfig("config:excursions", DEFAULT_EXCURSIONS, (rec) => rec);
+  }
+
+  async function getExcursion(id) {
+    return (await getExcursions()).find((e) => e.id === id) || null;
+  }
+
+  // 12500 => "12 500 ₽"
+  function formatPrice(amount) {
+    return `${String(amount).replace(/\B(?=(\d{3})+(?!\d))/g, " ")} ₽`;
+  }
+
+  // 90 => "1 ч 30 мин"
+  function formatDuration(minutes, lang = DEFAULT_LANG) {
+    const h = Math.floor(minutes / 60);
+    const m = minutes % 60;
+    return [h ? `${h} ${translate(lang, "unit_hours")}` : "", m ? `${m} ${translate(lang, "unit_minutes")}` : ""]
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  function calcExcursionTotal(excursion, adults, children) {
+    return adults * excursion.priceAdult + children * excursion.priceChild;
+  }
+
+  // --- Slots & capacity (KV: BOOKINGS) ---
+  // Конфигурация слотов: KV "config:slots" поверх DEFAULT_SLOT_CONFIG
+  function getSlotConfig() {
+    return readConfig("config:slots", DEFAULT_SLOT_CONFIG, (rec) => ({ ...DEFAULT_SLOT_CONFIG, ...rec }));
+  }
+
+  function buildSlotKey(type, date, time) {
+    return `seats:${type}:${date}:${time}`;
+  }
+
+  async function readSeats(slotKey) {
+    const raw = await env.BOOKINGS.get(slotKey);
+    if (!raw) return { used: 0, rev: null };
+    try {
+      const parsed = JSON.parse(raw);
+      return { used: Number(parsed.used) || 0, rev: parsed.rev || null };
+    } catch (e) {
+      console.log("SEATS parse error", slotKey, String(e));
+      return { used: 0, rev: null };
+    }
+  }
+
+  // Счётчик мест обновляется через updateKvRecord (ревизия + перечитывание);
+  // used дублируется в метаданных ключа для календаря (getMonthSeatsUsed)
+  async function updateSeats(slotKey, mutate) {
+    const res = await updateKvRecord(
+      slotKey,
+      (rec) => {
+        const used = mutate(Number(rec.used) || 0);
+        return used === null ? null : { used };
+      },
+      { metadata: (next) => ({ used: next.used }) }
+    );
+    return { ok: res.ok, used: Number(res.value.used) || 0 };
+  }
+
+  async function reserveSeats(slotKey, count, capacity, { force = false } = {}) {
+    return updateSeats(slotKey, (used) => {
+      if (!force && used + count > capacity) return null;
+      return used + count;
+    });
+  }
+
+  async function releaseSeats(slotKey, count) {
+    return updateSeats(slotKey, (used) => Math.max(0, used - count));
+  }
+
+  // Занятые места всех слотов экскурсии за месяц одним list по префиксу: key => used.
+  // Счётчики без метаданных (записанные до их появления) дочитываются по одному.
+  // list в KV согласован с задержкой — это подсказка для календаря, места проверяет reserveSeats.
+  async function getMonthSeatsUsed(type, ym) {
+    const usedByKey = new Map();
+    let cursor;
+    do {
+      const page = await env.BOOKINGS.list({ prefix: `seats:${type}:${ym}-`, cursor });
+      for (const { name, metadata } of page.keys) {
+        usedByKey.set(name, metadata ? Number(metadata.used) || 0 : (await readSeats(name)).used);
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return usedByKey;
+  }
+
+  // Слоты на дату с количеством свободных мест; usedByKey — готовые счётчики (getMonthSeatsUsed)
+  async function getSlotAvailability(type, date, usedByKey = null) {
+    const config = await getSlotConfig();
+    const times = config[type]?.times || [];
+    const result = [];
+    for (const slot of times) {
+      const key = buildSlotKey(type, date, slot.time);
+      const { used } = usedByKey ? { used: usedByKey.get(key) || 0 } : await readSeats(key);
+      result.push({
+        time: slot.time,
+        key,
+        capacity: slot.capacity,
+        used,
+        free: Math.max(0, slot.capacity - used),
+      });
+    }
+    return result;
+  }
+
+  // Текущее время фермы "HH:MM"
+  function farmTimeHm() {
+    return new Date(Date.now() + FARM_UTC_OFFSET_MIN * 60000).toISOString().slice(11, 16);
+  }
+
+  // Слоты открытого дня в часы работы, включая занятые (для листа ожидания)
+  // (экскурсия должна закончиться до закрытия; на сегодня — ещё не начавшиеся)
+  async function getOpenSlots(type, date, schedule = null, usedByKey = null) {
+    schedule = schedule || (await getSchedule());
+    if (!isDateOpen(schedule, date)) return [];
+    const slots = await getSlotAvailability(type, date, usedByKey);
+    const durationMin = (await getExcursion(type))?.durationMin || 0;
+    const isToday = date === farmDateIso(0);
+    const nowHm = farmTimeHm();
+    return slots.filter(
+      (s) =>
+        s.time >= schedule.openFrom &&
+        addMinutesHm(s.time, durationMin) <= schedule.openTo &&
+        (!isToday || s.time > nowHm)
+    );
+  }
+
+  // Только слоты со свободными местами
+  async function getFreeSlots(type, date, schedule = null) {
+    return (await getOpenSlots(type, date, schedule)).filter((s) => s.free > 0);
+  }
+
+  // --- Content blocks (KV: BOOKINGS "content:<block>", по умолчанию — DEFAULT_CONTENT) ---
+  // Текст на языке lang: text — русский, texts[lang] — перевод; custom — текст этого языка из KV
+  function pickContentText(record, lang) {
+    return lang === DEFAULT_LANG ? record?.text : record?.texts?.[lang];
+  }
+
+  async function readContentRecord(block) {
+    const raw = await env.BOOKINGS.get(`content:${block}`);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.log("content parse error", block, String(e));
+      return null;
+    }
+  }
+
+  async function getContent(block, lang = DEFAULT_LANG) {
+    const def = DEFAULT_CONTENT[block];
+    const fallback = {
+      text: pickContentText(def, lang) || def?.text || "",
+      photo: null,
+      location: null,
+      custom: false,
+    };
+    const record = await readContentRecord(block);
+    if (!record) return fallback;
+    const text = pickContentText(record, lang);
+    return { text: text || fallback.text, photo: record.photo || null, location: record.location || null, custom: Boolean(text) };
+  }
+
+  // Фото (текст — подписью, если влезает в 1024 символа), затем текст и геоточка.
+  // Клавиатура уходит с последним сообщением с текстом.
+  async function sendContent(chatId, content, keyboard = null) {
+    const text = content.text || "";
+    if (content.photo && text.length <= 1024) {
+      await sendPhoto(chatId, content.photo, text, keyboard);
+    } else {
+      if (content.photo) await sendPhoto(chatId, content.photo);
+      if (text) await sendMessage(chatId, text, keyboard);
+    }
+    if (content.location) await sendLocation(chatId, content.location);
+  }
+
+  // --- Shop (каталог и остатки, KV: BOOKINGS "config:products") ---
+  async function getProducts() {
+    const raw = await env.BOOKINGS.get("config:products");
+    if (!raw) return DEFAULT_PRODUCTS;
+    try {
+      return JSON.parse(raw).items || DEFAULT_PRODUCTS;
+    } catch (e) {
+      console.log("config:products parse error", String(e));
+      return DEFAULT_PRODUCTS;
+    }
+  }
+
+  // Списывает остатки по позициям предзаказа [{ id, qty }]; если чего-то не хватает — ничего не списывает.
+  // Возвращает { ok, short: [{ title, stock }] }
+  async function takeStock(items) {
+    let short = [];
+    const res = await updateKvRecord("config:products", (rec) => {
+      const products = (rec.items || DEFAULT_PRODUCTS).map((p) => ({ ...p }));
+      short = [];
+      for (const item of items) {
+        const product = products.find((p) => p.id === item.id);
+        if (!product || product.stock < item.qty) {
+          short.push({ title: product?.title || item.title || item.id, stock: product?.stock || 0 });
+        } else {
+          product.stock -= item.qty;
+        }
+      }
+      return short.length ? null : { items: products };
+    });
+    return { ok: res.ok, short };
+  }
+
+  async function returnStock(items) {
+    await updateKvRecord("config:products", (rec) => {
+      const products = (rec.items || DEFAULT_PRODUCTS).map((p) => ({ ...p }));
+      for (const item of items) {
+        const product = products.find((p) => p.id === item.id);
+        if (product) product.stock += item.qty;
+      }
+      return { items: products };
+    });
+  }
+
+  // Освобождает то, что держит заявка: места в слоте (с предложением листу ожидания) и списанный товар
+  async function releaseBookingHolds(booking) {
+    if (booking.seats?.held) {
+      await releaseSeatsToWaitlist(booking.seats.key, booking.seats.count);
+      booking.seats.held = false;
+    }
+    if (booking.stockTaken) {
+      await returnStock(booking.data?.items || []);
+      booking.stockTaken = false;
+    }
+  }
+
+  function formatOrderItems(items) {
+    return items.map((i) => `• ${i.title} × ${i.qty} (${i.unit}) — ${formatPrice(i.price * i.qty)}`).join("\n");
+  }
+
+  // --- Events (сезонные и разовые мероприятия) ---
+  // event:<id> = { id, title, date, time, price, capacity, description, status, createdAt, createdBy }
+  // status: "active" | "closed"; список id — в "idx:events", места — в seats:event:<id>
+  async function getEvent(eventId) {
+    const raw = await env.BOOKINGS.get(`event:${eventId}`);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.log("EVENT parse error", eventId, String(e));
+      return null;
+    }
+  }
+
+  async function saveEvent(event) {
+    await env.BOOKINGS.put(`event:${event.id}`, JSON.stringify(event));
+    await updateKvRecord("idx:events", (rec) => {
+      const ids = rec.ids || [];
+      return ids.includes(event.id) ? null : { ids: [...ids, event.id] };
+    });
+  }
+
+  function generateEventId() {
+    return `ev-${Date.now().toString(36)}`;
+  }
+
+  function buildEventSeatsKey(eventId) {
+    return `seats:event:${eventId}`;
+  }
+
+  // Предстоящие мероприятия (с сегодняшнего дня) по дате и времени; includeClosed — для админа
+  async function getUpcomingEvents(includeClosed = false) {
+    const raw = await env.BOOKINGS.get("idx:events");
+    let ids = [];
+    try {
+      ids = raw ? JSON.parse(raw).ids || [] : [];
+    } catch (e) {
+      console.log("EVENTS index parse error", String(e));
+    }
+    const today = farmDateIso(0);
+    const events = [];
+    for (const id of ids) {
+      const event = await getEvent(id);
+      if (!event || event.date < today) continue;
+      if (!includeClosed && event.status !== "active") continue;
+      const { used } = await readSeats(buildEventSeatsKey(id));
+      events.push({ ...event, used, free: Math.max(0, event.capacity - used) });
+    }
+    return events.sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`));
+  }
+
+  // Язык гостя (STATE "lang:<userId>"); не выбран — по language_code из Telegram
+  async function getUserLang(userId, languageCode) {
+    const saved = userId === null || userId === undefined ? null : await env.STATE.get(`lang:${userId}`);
+    return LANGUAGES[saved] ? saved : detectLang(languageCode);
+  }
+
+  async function setUserLang(userId, lang) {
+    await env.STATE.put(`lang:${userId}`, lang);
+  }
+
+  // Название заявки для гостя: экскурсия — из каталога на его языке, мероприятие — как задано админом
+  async function formatGuestTitle(booking, lang) {
+    const d = booking.data || {};
+    const excursion = d.excursion ? await getExcursion(d.excursion) : null;
+    if (excursion) return localize(excursion, "title", lang);
+    if (booking.type === "preorder") return translate(lang, "title_preorder");
+    return d.excursionTitle || d.eventTitle || translate(lang, "title_excursion");
+  }
+
+  // Название для списков: экскурсия или мероприятие
+  function formatBookingTitle(booking, fallback = booking.type) {
+    const d = booking.data || {};
+    return d.excursionTitle || d.eventTitle || (booking.type === "preorder" ? "Предзаказ" : fallback);
+  }
+
+  // Телефон (10–15 цифр; +, пробелы, скобки, дефисы) или Telegram-ник (@username, 5–33 символа)
+  function isValidContact(contact) {
+    const isValidTelegram = /^@[a-zA-Z0-9_]{4,32}$/.test(contact);
+    const isPhoneLike = /^[0-9+\s()\-]+$/.test(contact);
+    const digitsOnly = contact.replace(/\D/g, "");
+    const isValidPhone = isPhoneLike && digitsOnly.length >= 10 && digitsOnly.length <= 15;
+    return isValidTelegram || isValidPhone;
+  }
+
+  // Детали заявки для сообщений админу (без ID и статуса)
+  function formatBookingDetails(booking) {
+    const d = booking.data || {};
+    let text = "";
+    if (d.excursionTitle) text += `Экскурсия: ${d.excursionTitle}\n`;
+    if (d.eventTitle) text += `Мероприятие: ${d.eventTitle}\n`;
+    if (d.items) text += `Предзаказ:\n${formatOrderItems(d.items)}\n`;
+    if (d.date) text += `Дата: ${formatBookingDate(d.date)}\n`;
+    if (d.time) text += `Время: ${d.time}\n`;
+    if (d.name) text += `Имя: ${d.name}\n`;
+    if (d.people) text += `Гостей: ${d.people}${d.children ? ` (из них детей: ${d.children})` : ""}\n`;
+    if (d.contact) text += `Контакт: ${d.contact}\n`;
+    if (d.excursion) text += `Сумма: ${d.total ? formatPrice(d.total) : "по запросу (большая группа)"}\n`;
+    if (d.eventId) text += `Сумма: ${d.total ? formatPrice(d.total) : "бесплатно"}\n`;
+    if (d.items) text += `Сумма: ${formatPrice(d.total || 0)}\n`;
+    if (booking.lang && booking.lang !== DEFAULT_LANG) text += `Язык гостя: ${LANGUAGES[booking.lang] || booking.lang}\n`;
+    return text;
+  }
+
+  // === ADMIN FLOW ==========================================================
+  // Admin inline keyboard for booking approval / rejection
+  function buildAdminBookingKeyboard(bookingId) {
+    return {
+      inline_keyboard: [
+        [
+          { text: "✅ Подтвердить", callback_data: `confirm:${bookingId}` },
+          { text: "❌ Отклонить", callback_data: `cancel:${bookingId}` },
+        ],
+        [{ text: "💬 Написать гостю", callback_data: `msg:${bookingId}` }],
+      ],
+    };
+  }
+
+  // Для уже решённой заявки на карточке остаётся только переписка с гостем
+  function buildAdminMessageKeyboard(bookingId) {
+    return { inline_keyboard: [[{ text: "💬 Написать гостю", callback_data: `msg:${bookingId}` }]] };
+  }
+
+  function buildRejectReasonKeyboard(bookingId) {
+    const rows = Object.entries(REJECT_REASONS).map(([code, label]) => [
+      { text: label, callback_data: `reason:${bookingId}:${code}` },
+    ]);
+    rows.push([{ text: "✏️ Своя причина", callback_data: `reason:${bookingId}:custom` }]);
+    rows.push([{ text: "Без причины", callback_data: `reason:${bookingId}:none` }]);
+    return { inline_keyboard: rows };
+  }
+
+  // Сообщение гостю об отклонении на его языке; reason — текст причины или null
+  function formatRejectMessage(booking, reason) {
+    const lang = booking.lang || DEFAULT_LANG;
+    let text = translate(lang, "booking_rejected", { id: booking.id });
+    if (reason) text += translate(lang, "reject_reason", { reason });
+    return text + translate(lang, "reject_footer");
+  }
+
+  // Переписка по заявке: booking.messages = [{ from: "staff" | "guest", text, by, at }]
+  function recordMessage(booking, from, text, user) {
+    booking.messages = [
+      ...(booking.messages || []),
+      { from, text, by: user?.id ?? null, at: Date.now() },
+    ].slice(-50);
+  }
+
+  function formatStatus(status, lang = DEFAULT_LANG) {
+    const key = `status_${status}`;
+    return I18N[DEFAULT_LANG][key] ? translate(lang, key) : status;
+  }
+
+  // Карточка заявки для админа (команда /booking и кнопки списков)
+  function formatBookingCard(booking) {
+    let text = `Заявка ${booking.id}\n\n` + formatBookingDetails(booking);
+    if (booking.status === "reschedule_requested" && booking.reschedule) {
+      text += `Перенос на: ${formatBookingDate(booking.reschedule.date)}, ${booking.reschedule.time}\n`;
+    }
+    if (booking.attendance) {
+      text += `Ответ на напоминание: ${booking.attendance === "yes" ? "✅ придёт" : "❌ не сможет"}\n`;
+    }
+    if (booking.feedback?.rating) {
+      text += `Оценка гостя: ${booking.feedback.rating}/5${booking.feedback.comment ? ` — ${booking.feedback.comment}` : ""}\n`;
+    }
+    if (booking.status === "cancelled" && booking.rejectReason) {
+      text += `Причина отклонения: ${booking.rejectReason.text || "без причины"}\n`;
+    }
+    return text + `\nСтатус: ${formatStatus(booking.status)}` + formatLastAction(booking);
+  }
+
+  // Журнал действий сотрудников с заявкой: booking.history = [{ action, by, byName, at }]
+  function recordAction(booking, action, user) {
+    booking.history = [
+      ...(booking.history || []),
+      { action, by: user?.id ?? null, byName: formatActorName(user), at: Date.now() },
+    ];
+  }
+
+  function formatLastAction(booking) {
+    const last = booking.history?.[booking.history.length - 1];
+    return last ? `\nКто: ${last.byName}, ${formatDateTime(last.at)}` : "";
+  }
+
+  // --- Admin booking lists (paginated) ---
+  // kind: "d" — заявки на дату (arg = YYYY-MM-DD), "s" — по статусу (arg = status),
+  // "e" — заявки на мероприятие (arg = id мероприятия)
+  const ADMIN_LIST_PAGE_SIZE = 8;
+
+  async function buildBookingListPage(kind, arg, page) {
+    let bookings;
+    let title;
+    if (kind === "d") {
+      bookings = await getIndexedBookings(`idx:date:${arg}`);
+      bookings.sort((a, b) => String(a.data?.time).localeCompare(String(b.data?.time)) || a.createdAt - b.createdAt);
+      title = `Заявки на ${formatBookingDate(arg)}`;
+    } else if (kind === "e") {
+      bookings = await getIndexedBookings(`idx:event:${arg}`);
+      bookings.sort((a, b) => a.createdAt - b.createdAt);
+      const event = await getEvent(arg);
+      title = `Заявки на «${event?.title || arg}»`;
+    } else {
+      bookings = await getIndexedBookings(`idx:status:${arg}`);
+      bookings.sort((a, b) => a.createdAt - b.createdAt);
+      title = `Заявки со статусом «${formatStatus(arg)}»`;
+    }
+
+    if (!bookings.length) {
+      return { text: `${title}: нет заявок.`, keyboard: null };
+    }
+
+    const pages = Math.ceil(bookings.length / ADMIN_LIST_PAGE_SIZE);
+    page = Math.min(Math.max(0, page), pages - 1);
+    const slice = bookings.slice(page * ADMIN_LIST_PAGE_SIZE, (page + 1) * ADMIN_LIST_PAGE_SIZE);
+
+    let text = `${title} — ${bookings.length} (стр. ${page + 1}/${pages}):\n`;
+    const rows = [];
+    slice.forEach((b, i) => {
+      const n = page * ADMIN_LIST_PAGE_SIZE + i + 1;
+      const d = b.data || {};
+      const when = kind === "d" ? d.time : `${formatDateRu(d.date)} ${d.time || ""}`.trim();
+      text +=
+        `\n${n}. ${when} · ${formatBookingTitle(b)} · ${d.name || "—"} · ` +
+        `гостей: ${d.people || b.people} · ${formatStatus(b.status)}`;
+      rows.push([{ text: `${n}. ${d.name || b.id} · ${when}`, callback_data: `open:${b.id}` }]);
+    });
+
+    const nav = [];
+    if (page > 0) nav.push({ text: "‹ Назад", callback_data: `list:${kind}:${arg}:${page - 1}` });
+    if (page < pages - 1) nav.push({ text: "Вперёд ›", callback_data: `list:${kind}:${arg}:${page + 1}` });
+    if (nav.length) rows.push(nav);
+
+    return { text, keyboard: { inline_keyboard: rows } };
+  }
+
+  // list:<kind>:<arg>:<page> — листание списка, open:<id> — карточка заявки с кнопками
+  async function handleAdminListCallback(callbackQuery) {
+    const data = callbackQuery.data || "";
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+
+    if (data.startsWith("open:")) {
+      const booking = await getBooking(data.slice("open:".length));
+      if (!booking) {
+        await answerCallbackQuery(cbId, "Заявка не найдена.");
+        return;
+      }
+      await sendMessage(chatId, formatBookingCard(booking), buildAdminBookingKeyboard(booking.id));
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    const [, kind, ...rest] = data.split(":");
+    const page = parseInt(rest.pop(), 10) || 0;
+    const arg = rest.join(":");
+    const { text, keyboard } = await buildBookingListPage(kind, arg, page);
+    await editMessageText(chatId, messageId, text, keyboard);
+    await answerCallbackQuery(cbId, "");
+  }
+
+  // "today" / "сегодня" / "tomorrow" / "завтра" / "2026-11-02" / "02.11.2026" / "02.11" => ISO
+  function parseDateArg(arg) {
+    const value = String(arg || "").trim().toLowerCase();
+    if (!value || value === "today" || value === "сегодня") return farmDateIso(0);
+    if (value === "tomorrow" || value === "завтра") return farmDateIso(1);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+    const m = value.match(/^(\d{1,2})\.(\d{1,2})(?:\.(\d{4}))?$/);
+    if (!m) return null;
+    const year = m[3] || farmDateIso(0).slice(0, 4);
+    return `${year}-${m[2].padStart(2, "0")}-${m[1].padStart(2, "0")}`;
+  }
+
+  // Текстовые команды сотрудников. Возвращает true, если команда обработана.
+  // Права проверяются по роли отправителя (STAFF_ROLES); origin — адрес воркера для ссылки /web.
+  async function handleAdminCommand(chatId, text, from, { origin = "" } = {}) {
+    const [command, ...args] = text.trim().split(/\s+/);
+    const cmd = command.split("@")[0].toLowerCase();
+    const role = await getStaffRole(from?.id);
+    const can = (permission) => Boolean(role && STAFF_ROLES[role].permissions.includes(permission));
+
+    if (cmd === "/admin") {
+      let help =
+        `Ваша роль: ${STAFF_ROLES[role].label}\n\n` +
+        "Команды:\n" +
+        "/bookings [today|tomorrow|YYYY-MM-DD] — заявки на дату\n" +
+        "/pending — необработанные заявки\n" +
+        "/booking <id> — карточка заявки\n" +
+        "/summary — сводка на сегодня и завтра\n" +
+        "/ratings — оценки гостей по экскурсиям и последние отзывы\n" +
+        "/export [с] [по] [csv|ics] — выгрузка заявок файлом (по умолчанию неделя, CSV)\n" +
+        "/web — ссылка на веб-панель (таблица заявок и расписание дня)\n" +
+        "/events — мероприятия и занятые места\n" +
+        "/products — товары магазина и остатки\n" +
+        "/staff — сотрудники";
+      if (can("events")) {
+        help +=
+          "\n/event_add — создать мероприятие\n" +
+          "/event_close <id> — закрыть запись на мероприятие";
+      }
+      if (can("preorders")) {
+        help += "\n/stock <id товара> <остаток> — изменить остаток товара";
+      }
+      if (can("content")) {
+        help +=
+          "\n/content [блок] [ru|en|et] — тексты меню (excursions, schedule, address, products)\n" +
+          "/content_edit <блок> [ru|en|et] — заменить текст, фото или геоточку (с предпросмотром)\n" +
+          "/content_reset <блок> — вернуть тексты по умолчанию на всех языках";
+      }
+      if (can("broadcast")) {
+        help += "\n/broadcast — рассылка подписчикам (все, гости прошлых визитов, гости на дату) с предпросмотром";
+      }
+      if (can("staff")) {
+        help +=
+          "\n/staff_add <user_id> <owner|guide|shop> [имя] — добавить сотрудника или сменить роль\n" +
+          "/staff_remove <user_id> — удалить сотрудника";
+      }
+      await sendMessage(chatId, help);
+      return true;
+    }
+
+    if (!can("view")) return false;
+
+    if (cmd === "/staff") {
+      const members = await getStaff();
+      let list = "Сотрудники:\n";
+      if (env.ADMIN_USER_ID) list += `\n• ${env.ADMIN_USER_ID} — ${STAFF_ROLES.owner.label} (ADMIN_USER_ID)`;
+      for (const m of members) {
+        list += `\n• ${m.id} — ${STAFF_ROLES[m.role]?.label || m.role}${m.name ? `, ${m.name}` : ""}`;
+      }
+      await sendMessage(chatId, list);
+      return true;
+    }
+
+    if (cmd === "/staff_add" || cmd === "/staff_remove") {
+      if (!can("staff")) {
+        await sendMessage(chatId, formatPermissionDenied("управлять сотрудниками", "staff"));
+        return true;
+      }
+      const userId = args[0];
+      if (!/^-?\d+$/.test(userId || "")) {
+        await sendMessage(chatId, "Формат: /staff_add <user_id> <owner|guide|shop> [имя] или /staff_remove <user_id>");
+        return true;
+      }
+      if (String(userId) === String(env.ADMIN_USER_ID)) {
+        await sendMessage(chatId, "ADMIN_USER_ID — владелец по умолчанию, его роль меняется только в wrangler.toml.");
+        return true;
+      }
+
+      if (cmd === "/staff_remove") {
+        await updateKvRecord("config:staff", (rec) => ({
+          members: (rec.members || []).filter((m) => String(m.id) !== String(userId)),
+        }));
+        await sendMessage(chatId, `Сотрудник ${userId} удалён.`);
+        return true;
+      }
+
+      const newRole = (args[1] || "").toLowerCase();
+      if (!STAFF_ROLES[newRole]) {
+        await sendMessage(chatId, "Роль: owner, guide или shop.");
+        return true;
+      }
+      const name = args.slice(2).join(" ");
+      await updateKvRecord("config:staff", (rec) => ({
+        members: [
+          ...(rec.members || []).filter((m) => String(m.id) !== String(userId)),
+          { id: Number(userId), role: newRole, name, addedAt: Date.now(), addedBy: from?.id ?? null },
+        ],
+      }));
+      await sendMessage(chatId, `Сотрудник ${userId}${name ? ` (${name})` : ""}: ${STAFF_ROLES[newRole].label}.`);
+      return true;
+    }
+
+    if (cmd === "/bookings") {
+      const date = parseDateArg(args[0]);
+      if (!date) {
+        await sendMessage(chatId, "Формат: /bookings today | tomorrow | YYYY-MM-DD | ДД.ММ.ГГГГ");
+        return true;
+      }
+      const { text: listText, keyboard } = await buildBookingListPage("d", date, 0);
+      await sendMessage(chatId, listText, keyboard);
+      return true;
+    }
+
+    if (cmd === "/export") {
+      const format = /^(csv|ics)$/i.test(args[args.length - 1] || "") ? args.pop().toLowerCase() : "csv";
+      const range = parseExportRange(args[0], args[1], { from: farmDateIso(0), to: farmDateIso(6) });
+      if (!range) {
+        await sendMessage(
+          chatId,
+          `Формат: /export [с] [по] [csv|ics] — даты today | tomorrow | YYYY-MM-DD | ДД.ММ.ГГГГ, не больше ${EXPORT_MAX_DAYS} дней`
+        );
+        return true;
+      }
+      const file = await buildExportFile(format, range.from, range.to);
+      const period =
+        range.from === range.to ? formatDateRu(range.from) : `${formatDateRu(range.from)}–${formatDateRu(range.to)}`;
+      const caption =
+        format === "ics"
+          ? `Подтверждённые экскурсии ${period}: ${file.count}`
+          : `Заявки ${period}: ${file.count}`;
+      await sendDocument(chatId, file.filename, file.content, file.mimeType, caption);
+      return true;
+    }
+
+    if (cmd === "/web") {
+      // Ссылка даёт вход в панель — выдаём её только в личном чате с ботом
+      if (String(chatId) !== String(from?.id)) {
+        await sendMessage(chatId, "Ссылку на веб-панель можно получить только в личном чате с ботом.");
+        return true;
+      }
+      const token = crypto.randomUUID();
+      const user = { id: from.id, first_name: from.first_name, last_name: from.last_name, username: from.username };
+      await env.STATE.put(`weblogin:${token}`, JSON.stringify({ user }), { expirationTtl: WEB_LOGIN_TTL_SEC });
+      await sendMessage(chatId, "Одноразовая ссылка на веб-панель, действует 10 минут:", {
+        inline_keyboard: [[{ text: "🖥 Открыть веб-панель", url: `${origin}/admin/login?token=${token}` }]],
+      });
+      return true;
+    }
+
+    if (cmd === "/pending") {
+      const { text: listText, keyboard } = await buildBookingListPage("s", "new", 0);
+      await sendMessage(chatId, listText, keyboard);
+      return true;
+    }
+
+    if (cmd === "/summary") {
+      const { text: digestText, keyboard } = await buildDigest();
+      await sendMessage(chatId, digestText, keyboard);
+      return true;
+    }
+
+    if (cmd === "/ratings") {
+      await sendMessage(chatId, await buildRatingsReport());
+      return true;
+    }
+
+    if (cmd === "/events") {
+      const events = await getUpcomingEvents(true);
+      if (!events.length) {
+        await sendMessage(chatId, "Предстоящих мероприятий нет." + (can("events") ? " Создать: /event_add" : ""));
+        return true;
+      }
+      let list = "Мероприятия:\n";
+      const rows = [];
+      for (const [i, ev] of events.entries()) {
+        const bookings = await getIndexedBookings(`idx:event:${ev.id}`);
+        const pending = bookings.filter((b) => b.status === "new").length;
+        list +=
+          `\n${i + 1}. ${formatBookingDate(ev.date)}, ${ev.time} — ${ev.title}` +
+          (ev.status === "closed" ? " (запись закрыта)" : "") +
+          `\nЦена: ${formatPrice(ev.price)} · мест занято: ${ev.used} из ${ev.capacity} · ` +
+          `заявок: ${bookings.length} (новых: ${pending})\nID: ${ev.id}\n`;
+        rows.push([{ text: `${i + 1}. ${ev.title}`, callback_data: `list:e:${ev.id}:0` }]);
+      }
+      await sendMessage(chatId, list, { inline_keyboard: rows });
+      return true;
+    }
+
+    if (cmd === "/products") {
+      const products = await getProducts();
+      let list = "Товары магазина:\n";
+      for (const p of products) {
+        list += `\n• ${p.title} (${p.id}) — ${formatPrice(p.price)} / ${p.unit}, остаток: ${p.stock}`;
+      }
+      await sendMessage(chatId, list);
+      return true;
+    }
+
+    if (cmd === "/stock") {
+      if (!can("preorders")) {
+        await sendMessage(chatId, formatPermissionDenied("менять остатки", "preorders"));
+        return true;
+      }
+      const [productId, qtyArg] = args;
+      if (!productId || !/^\d+$/.test(qtyArg || "")) {
+        await sendMessage(chatId, "Формат: /stock <id товара> <остаток>, id — из /products");
+        return true;
+      }
+      const res = await updateKvRecord("config:products", (rec) => {
+        const products = (rec.items || DEFAULT_PRODUCTS).map((p) => ({ ...p }));
+        const product = products.find((p) => p.id === productId);
+        if (!product) return null;
+        product.stock = Number(qtyArg);
+        return { items: products };
+      });
+      await sendMessage(chatId, res.ok ? `Остаток ${productId}: ${qtyArg}.` : "Товар не найден.");
+      return true;
+    }
+
+    if (cmd === "/content" || cmd === "/content_reset") {
+      if (!can("content")) {
+        await sendMessage(chatId, formatPermissionDenied("менять тексты меню", "content"));
+        return true;
+      }
+      const block = (args[0] || "").toLowerCase();
+      if (!block && cmd === "/content") {
+        let list = "Информационные блоки:\n";
+        for (const key of Object.keys(DEFAULT_CONTENT)) {
+          const record = await readContentRecord(key);
+          const custom = Object.keys(LANGUAGES).filter((l) => pickContentText(record, l));
+          list +=
+            `\n• ${key} — ${translate(DEFAULT_LANG, `btn_${key}`)}: ` +
+            (custom.length ? `свой текст (${custom.join(", ")})` : "по умолчанию") +
+            (record?.photo ? ", фото" : "") +
+            (record?.location ? ", геоточка" : "");
+        }
+        await sendMessage(
+          chatId,
+          list + "\n\nПросмотр: /content <блок> [ru|en|et], изменение: /content_edit <блок> [ru|en|et]"
+        );
+        return true;
+      }
+      if (!DEFAULT_CONTENT[block]) {
+        await sendMessage(chatId, `Блок: ${Object.keys(DEFAULT_CONTENT).join(", ")}`);
+        return true;
+      }
+      if (cmd === "/content_reset") {
+        await env.BOOKINGS.delete(`content:${block}`);
+        await sendMessage(chatId, `Блок ${block} возвращён к текстам по умолчанию (все языки, без фото и геоточки).`);
+        return true;
+      }
+      const contentLang = LANGUAGES[args[1]] ? args[1] : DEFAULT_LANG;
+      const content = await getContent(block, contentLang);
+      await sendContent(chatId, content);
+      await sendMessage(
+        chatId,
+        `Блок ${block} (${contentLang}): ${content.custom ? "свой текст из KV" : "текст по умолчанию"}.`
+      );
+      return true;
+    }
+
+    if (cmd === "/event_close") {
+      if (!can("events")) {
+        await sendMessage(chatId, formatPermissionDenied("управлять мероприятиями", "events"));
+        return true;
+      }
+      const event = args[0] ? await getEvent(args[0]) : null;
+      if (!event) {
+        await sendMessage(chatId, args[0] ? "Мероприятие не найдено." : "Формат: /event_close <id>");
+        return true;
+      }
+      event.status = "closed";
+      await saveEvent(event);
+      await sendMessage(chatId, `Запись на «${event.title}» закрыта. Существующие заявки сохранены.`);
+      return true;
+    }
+
+    if (cmd === "/booking") {
+      const booking = args[0] ? await getBooking(args[0]) : null;
+      if (!booking) {
+        await sendMessage(chatId, args[0] ? "Заявка не найдена." : "Формат: /booking <id>");
+        return true;
+      }
+      await sendMessage(chatId, formatBookingCard(booking), buildAdminBookingKeyboard(booking.id));
+      return true;
+    }
+
+    return false;
+  }
+
+  // === BOOKING DECISIONS ===================================================
+  // Переходы статуса заявки — общие для кнопок в Telegram и веб-панели (/admin).
+  // Возвращают { ok: true, action } или { ok: false, error, alert }; error — текст для сотрудника.
+  // action: "confirm" | "cancel" | "reschedule_confirm" | "reschedule_decline"
+  async function decideBooking(booking, action, user) {
+    if (booking.status === "cancelled_by_user") {
+      return { ok: false, error: "Заявка отменена гостем." };
+    }
+    // Запрошенный гостем перенос: ✅ — перенести, ❌ — оставить прежние дату и время
+    if (booking.status === "reschedule_requested" && booking.reschedule) {
+      return decideReschedule(booking, action === "confirm", user);
+    }
+    if (action === "confirm") return confirmBooking(booking, user);
+    if (action === "cancel") return cancelBooking(booking, user);
+    return { ok: false, error: "Неизвестное действие." };
+  }
+
+  async function confirmBooking(booking, user) {
+    if (booking.status === "confirmed") {
+      return { ok: false, error: "Заявка уже подтверждена." };
+    }
+
+    // Резервируем места, если они ещё не удержаны (большая группа или повторное подтверждение)
+    if (booking.seats && !booking.seats.held) {
+      const res = await reserveSeats(booking.seats.key, booking.seats.count, booking.seats.capacity, {
+        force: booking.seats.manual,
+      });
+      if (!res.ok) {
+        return { ok: false, error: `Недостаточно мест: занято ${res.used} из ${booking.seats.capacity}.`, alert: true };
+      }
+      booking.seats.held = true;
+    }
+
+    // Предзаказ: списываем товар со склада
+    if (booking.type === "preorder" && !booking.stockTaken) {
+      const res = await takeStock(booking.data?.items || []);
+      if (!res.ok) {
+        const short = res.short.map((p) => `${p.title} (остаток ${p.stock})`).join(", ");
+        return {
+          ok: false,
+          error: short ? `Недостаточно товара: ${short}.` : "Не удалось списать товар, попробуйте ещё раз.",
+          alert: true,
+        };
+      }
+      booking.stockTaken = true;
+    }
+
+    booking.status = "confirmed";
+    recordAction(booking, "confirm", user);
+    await saveBooking(booking);
+
+    if (booking.chatId) {
+      await sendMessage(booking.chatId, translate(booking.lang || DEFAULT_LANG, "booking_confirmed", { id: booking.id }));
+    }
+    return { ok: true, action: "confirm" };
+  }
+
+  // Гостю об отклонении пишет вызывающий: кнопка ❌ — сразу (notifyGuestRejected),
+  // веб-панель — вместе с причиной (applyRejectReason)
+  async function cancelBooking(booking, user) {
+    if (booking.status === "cancelled") {
+      return { ok: false, error: "Заявка уже отклонена." };
+    }
+
+    await releaseBookingHolds(booking);
+
+    booking.status = "cancelled";
+    delete booking.rejectReason;
+    delete booking.rejectNotifiedAt;
+    recordAction(booking, "cancel", user);
+    await saveBooking(booking);
+    return { ok: true, action: "cancel" };
+  }
+
+  async function decideReschedule(booking, approve, user) {
+    const rs = booking.reschedule;
+
+    if (approve) {
+      if (booking.seats) {
+        const newKey = buildSlotKey(booking.data.excursion, rs.date, rs.time);
+        // Большая группа: места в новом слоте не удерживались — резервируем принудительно
+        if (!rs.held) {
+          const res = await reserveSeats(newKey, booking.seats.count, rs.capacity, { force: true });
+          if (!res.ok) {
+            return { ok: false, error: "Не удалось зарезервировать места, попробуйте ещё раз.", alert: true };
+          }
+        }
+        if (booking.seats.held) await releaseSeatsToWaitlist(booking.seats.key, booking.seats.count);
+        booking.seats.key = newKey;
+        booking.seats.capacity = rs.capacity;
+        booking.seats.held = true;
+      }
+      booking.data.date = rs.date;
+      booking.data.time = rs.time;
+      booking.data.startsAt = farmStartsAt(rs.date, rs.time);
+      // Напоминание и ответ «Приду / Не смогу» относились к старой дате
+      delete booking.reminderSentAt;
+      delete booking.attendance;
+      delete booking.attendanceAt;
+    } else {
+      if (rs.held && booking.seats) {
+        await releaseSeatsToWaitlist(buildSlotKey(booking.data.excursion, rs.date, rs.time), booking.seats.count);
+      }
+    }
+    // Перенос меняет только дату и время: неподтверждённая заявка остаётся «new»
+    booking.status = booking.previousStatus || "new";
+    delete booking.reschedule;
+    delete booking.previousStatus;
+    const action = approve ? "reschedule_confirm" : "reschedule_decline";
+    recordAction(booking, action, user);
+    await saveBooking(booking);
+
+    if (booking.chatId) {
+      const lang = booking.lang || DEFAULT_LANG;
+      const when = `${formatBookingDate(booking.data.date, lang)}, ${booking.data.time}`;
+      await sendMessage(
+        booking.chatId,
+        translate(lang, approve ? "reschedule_approved" : "reschedule_declined", { id: booking.id, when })
+      );
+    }
+    return { ok: true, action };
+  }
+
+  // Текст карточки после решения (сообщение в Telegram)
+  function formatDecisionText(booking, action) {
+    if (action === "reschedule_confirm" || action === "reschedule_decline") {
+      return (
+        `Перенос заявки ${booking.id} ${action === "reschedule_confirm" ? "подтверждён" : "отклонён"}.\n\n` +
+        formatBookingDetails(booking) +
+        `\nСтатус: ${formatStatus(booking.status)}` +
+        formatLastAction(booking)
+      );
+    }
+    const confirmed = action === "confirm";
+    return (
+      `Заявка ${booking.id} ${confirmed ? "подтверждена" : "отклонена"}.\n\n` +
+      formatBookingDetails(booking) +
+      `\nСтатус: ${confirmed ? "✅ подтверждена" : "❌ отклонена"}` +
+      formatLastAction(booking)
+    );
+  }
+
+  // --- Причина отклонения ---
+  // Гость узнаёт об отклонении сразу, даже если причину так и не выберут;
+  // rejectNotifiedAt — причина потом уходит отдельным сообщением
+  async function notifyGuestRejected(booking) {
+    if (!booking.chatId) return;
+    await sendMessage(booking.chatId, formatRejectMessage(booking, null));
+    booking.rejectNotifiedAt = Date.now();
+    await saveBooking(booking);
+  }
+
+  // Места отклонённой заявки к этому моменту уже вернулись в слот (и листу ожидания):
+  // если их хватает на группу гостя, лист ожидания тут же отдал бы ему те же места — не предлагаем
+  async function isSlotFullFor(booking) {
+    if (booking.type !== "excursion" || !booking.seats) return false;
+    const { used } = await readSeats(booking.seats.key);
+    return booking.seats.capacity - used < booking.seats.count;
+  }
+
+  // Причина сохраняется в booking.rejectReason = { code, text, by, byName, at } и уходит гостю
+  async function applyRejectReason(booking, code, reasonText, user, cardChatId, cardMessageId) {
+    booking.rejectReason = {
+      code,
+      text: reasonText || null,
+      by: user?.id ?? null,
+      byName: formatActorName(user),
+      at: Date.now(),
+    };
+    await saveBooking(booking);
+
+    if (cardChatId && cardMessageId) {
+      await editMessageText(cardChatId, cardMessageId, formatBookingCard(booking), buildAdminMessageKeyboard(booking.id));
+    }
+    // Готовая причина уходит гостю на его языке, своя — как написал сотрудник
+    if (booking.chatId) {
+      const lang = booking.lang || DEFAULT_LANG;
+      const guestReason = REJECT_REASONS[code] ? translate(lang, `reason_${code}`) : booking.rejectReason.text;
+      // «Нет мест» на экскурсию — гостю предлагаем лист ожидания на то же время, если слот и правда занят
+      const keyboard =
+        code === "full" && (await isSlotFullFor(booking))
+          ? {
+              inline_keyboard: [
+                [{ text: translate(lang, "btn_waitlist_join"), callback_data: `wl:join:${booking.id}` }],
+              ],
+            }
+          : null;
+      if (!booking.rejectNotifiedAt) {
+        await sendMessage(booking.chatId, formatRejectMessage(booking, guestReason), keyboard);
+      } else if (guestReason) {
+        await sendMessage(
+          booking.chatId,
+          translate(lang, "reject_reason_followup", { id: booking.id, reason: guestReason }),
+          keyboard
+        );
+      }
+    }
+  }
+
+  // Callback handlers (admin actions): confirm:<id> / cancel:<id>
+  async function handleAdminBookingAction(callbackQuery) {
+    const data = callbackQuery.data || "";
+    const cbId = callbackQuery.id;
+    const msg = callbackQuery.message;
+    const chatId = msg?.chat?.id;
+    const messageId = msg?.message_id;
+
+    const [action, bookingId] = data.split(":");
+
+    const booking = await getBooking(bookingId);
+    if (!booking) {
+      await answerCallbackQuery(cbId, "Заявка не найдена.");
+      return;
+    }
+
+    const res = await decideBooking(booking, action, callbackQuery.from);
+    if (!res.ok) {
+      await answerCallbackQuery(cbId, res.error, Boolean(res.alert));
+      return;
+    }
+
+    if (res.action === "reschedule_confirm" || res.action === "reschedule_decline") {
+      // Заявка, которую ещё не подтверждали, после решения по переносу снова ждёт ✅ / ❌
+      const keyboard = booking.status === "new" ? buildAdminBookingKeyboard(booking.id) : null;
+      if (chatId && messageId) {
+        await editMessageText(chatId, messageId, formatDecisionText(booking, res.action), keyboard);
+      }
+      await answerCallbackQuery(cbId, res.action === "reschedule_confirm" ? "Перенос подтверждён." : "Перенос отклонён.");
+      return;
+    }
+
+    if (res.action === "confirm") {
+      if (chatId && messageId) {
+        await editMessageText(chatId, messageId, formatDecisionText(booking, "confirm"), buildAdminMessageKeyboard(booking.id));
+      }
+      await answerCallbackQuery(cbId, "Заявка подтверждена.");
+      return;
+    }
+
+    // Отклонение: гость узнаёт сразу, причина (кнопки reason:*) уйдёт ему следом
+    await notifyGuestRejected(booking);
+    if (chatId && messageId) {
+      await editMessageText(
+        chatId,
+        messageId,
+        formatDecisionText(booking, "cancel") + "\n\nГость уведомлён. Выберите причину — она будет отправлена следом:",
+        buildRejectReasonKeyboard(booking.id)
+      );
+    }
+    await answerCallbackQuery(cbId, "Заявка отклонена, гость уведомлён. Выберите причину.");
+  }
+
+  // === EXCURSION BOOKING (диалог и Mini App) ===============================
+  // Заявка на экскурсию: createBooking + уведомление админу.
+  // input: { chatId, lang, name, excursion, date, time, people ("1".."6" | "6-10" | "11+"), children, contact, source, seatsHeld }
+  // Возвращает заявку или null, если места в слоте закончились.
+  async function submitExcursionBooking(input) {
+    const peopleNum = parseInt(input.people || "0", 10) || 0;
+    const isGroup = input.people === "6-10" || input.people === "11+";
+    const slotConfig = (await getSlotConfig())[input.excursion]?.times?.find((s) => s.time === input.time);
+    const excursion = await getExcursion(input.excursion);
+    const children = input.children || 0;
+    const total = excursion && !isGroup ? calcExcursionTotal(excursion, peopleNum - children, children) : null;
+
+    const booking = await createBooking({
+      type: "excursion",
+      chatId: input.chatId,
+      lang: input.lang,
+      people: peopleNum,
+      data: {
+        excursion: input.excursion,
+        excursionTitle: excursion?.title || input.excursion,
+        name: input.name,
+        date: input.date,
+        time: input.time,
+        startsAt: farmStartsAt(input.date, input.time),
+        people: input.people,
+        children,
+        total,
+        contact: input.contact,
+        ...(input.source ? { source: input.source } : {}),
+      },
+      seats: {
+        key: buildSlotKey(input.excursion, input.date, input.time),
+        count: peopleNum,
+        capacity: slotConfig?.capacity || 0,
+        manual: isGroup,
+        held: Boolean(input.seatsHeld),
+      },
+    });
+    if (!booking) return null;
+
+    const sourceLabel = { app: " (Mini App)", waitlist: " (из листа ожидания)" }[input.source] || "";
+    let msg =
+      `Новая заявка на экскурсию${sourceLabel}:\n\n` +
+      `ID: ${booking.id}\n` +
+      formatBookingDetails(booking);
+
+    if (booking.seats.manual) {
+      msg += "\n⚠️ Большая группа — места не зарезервированы, требуется ручное подтверждение.";
+    } else {
+      const { used } = await readSeats(booking.seats.key);
+      msg += `\nМест занято в слоте: ${used} из ${booking.seats.capacity}`;
+    }
+
+    await notifyAdmin(msg, buildAdminBookingKeyboard(booking.id));
+    return booking;
+  }
+
+  // Ответ гостю после отправки заявки на экскурсию
+  async function formatExcursionSentText(booking, lang) {
+    const d = booking.data;
+    return (
+      translate(lang, "booking_sent") +
+      translate(lang, "label_excursion", { title: await formatGuestTitle(booking, lang) }) +
+      translate(lang, "label_when", { date: formatBookingDate(d.date, lang), time: d.time }) +
+      translate(lang, "label_total", {
+        total: d.total !== null ? formatPrice(d.total) : translate(lang, "total_group"),
+      })
+    );
+  }
+
+  // === WAITLIST ============================================================
+  // waitlist:<excursion>:<date>:<time> => { entries: [{ id, chatId, lang, name, people, children, contact, joinedAt, offer }] }
+  // offer = { at, expiresAt } — места зарезервированы за гостем (seats:*) до expiresAt.
+  // idx:waitlist => { ids: [ключи непустых листов] } — для cron и поиска предложения по id.
+  function parseWaitlistSlot(slotKey) {
+    const m = String(slotKey).match(/^seats:([^:]+):(\d{4}-\d{2}-\d{2}):(\d{2}:\d{2})$/);
+    if (!m || m[1] === "event") return null;
+    return { key: `waitlist:${m[1]}:${m[2]}:${m[3]}`, slotKey, excursion: m[1], date: m[2], time: m[3] };
+  }
+
+  async function readWaitlist(key) {
+    const raw = await env.BOOKINGS.get(key);
+    if (!raw) return [];
+    try {
+      return JSON.parse(raw).entries || [];
+    } catch (e) {
+      console.log("WAITLIST parse error", key, String(e));
+      return [];
+    }
+  }
+
+  // Освобождение мест после отмены / переноса: сразу предлагаем их листу ожидания
+  async function releaseSeatsToWaitlist(slotKey, count) {
+    await releaseSeats(slotKey, count);
+    const slot = parseWaitlistSlot(slotKey);
+    if (slot) await processWaitlist(slot);
+  }
+
+  // Добавляет гостя в конец очереди (повторная запись того же чата заменяет прежнюю). Возвращает номер в очереди.
+  async function joinWaitlist(excursion, date, time, guest) {
+    const slot = parseWaitlistSlot(buildSlotKey(excursion, date, time));
+    const entry = {
+      id: crypto.randomUUID().slice(0, 8),
+      chatId: guest.chatId,
+      lang: guest.lang || DEFAULT_LANG,
+      name: guest.name,
+      people: guest.people,
+      children: guest.children || 0,
+      contact: guest.contact,
+      joinedAt: Date.now(),
+    };
+    let previous = null;
+    const res = await updateKvRecord(slot.key, (rec) => {
+      const entries = rec.entries || [];
+      previous = entries.find((e) => String(e.chatId) === String(entry.chatId)) || null;
+      return { entries: [...entries.filter((e) => String(e.chatId) !== String(entry.chatId)), entry] };
+    });
+    // Заменённая запись могла держать предложение — места возвращаем
+    if (previous?.offer) await releaseSeats(slot.slotKey, previous.people);
+    await updateKvRecord("idx:waitlist", (rec) => {
+      const ids = rec.ids || [];
+      return ids.includes(slot.key) ? null : { ids: [...ids, slot.key] };
+    });
+
+    const title = (await getExcursion(excursion))?.title || excursion;
+    await notifyAdmin(
+      `Гость в листе ожидания: ${title}, ${formatBookingDate(date)}, ${time}\n` +
+        `Имя: ${entry.name}\nГостей: ${entry.people}\nКонтакт: ${entry.contact}\n` +
+        `В очереди: ${res.value.entries.length}`
+    );
+    await processWaitlist(slot);
+    return res.value.entries.findIndex((e) => e.id === entry.id) + 1;
+  }
+
+  // Убирает запись из листа; возвращает удалённую запись (или null, если её уже нет)
+  async function removeWaitlistEntry(slot, entryId) {
+    let removed = null;
+    await updateKvRecord(slot.key, (rec) => {
+      const entries = rec.entries || [];
+      removed = entries.find((e) => e.id === entryId) || null;
+      return removed ? { entries: entries.filter((e) => e.id !== entryId) } : null;
+    });
+    return removed;
+  }
+
+  // Истёкшие предложения → места следующему; свободные места → предложения строго по очереди:
+  // пока группа первого ожидающего не помещается, меньшие группы за ним её не обгоняют.
+  // Прошедший слот — лист закрывается.
+  async function processWaitlist(slot) {
+    if (!(await readWaitlist(slot.key)).length) return;
+    const now = Date.now();
+    const openSlot = (await getOpenSlots(slot.excursion, slot.date)).find((s) => s.time === slot.time);
+
+    for (const entry of await readWaitlist(slot.key)) {
+      if (!entry.offer || (openSlot && entry.offer.expiresAt > now)) continue;
+      const removed = await removeWaitlistEntry(slot, entry.id);
+      if (!removed?.offer) continue;
+      await releaseSeats(slot.slotKey, removed.people);
+      if (openSlot) await sendMessage(removed.chatId, translate(removed.lang, "waitlist_offer_expired"));
+    }
+
+    if (!openSlot) {
+      await closeWaitlist(slot);
+      return;
+    }
+
+    const capacity = openSlot.capacity;
+    const excursion = await getExcursion(slot.excursion);
+    for (const entry of await readWaitlist(slot.key)) {
+      if (entry.offer) continue;
+      const reserved = await reserveSeats(slot.slotKey, entry.people, capacity);
+      if (!reserved.ok) break;
+
+      const expiresAt = now + WAITLIST_OFFER_TTL_MIN * 60000;
+      const res = await updateKvRecord(slot.key, (rec) => {
+        const entries = (rec.entries || []).map((e) => ({ ...e }));
+        const target = entries.find((e) => e.id === entry.id && !e.offer);
+        if (!target) return null;
+        target.offer = { at: now, expiresAt };
+        return { entries };
+      });
+      if (!res.ok) {
+        await releaseSeats(slot.slotKey, entry.people);
+        continue;
+      }
+
+      const lang = entry.lang || DEFAULT_LANG;
+      await sendMessage(
+        entry.chatId,
+        translate(lang, "waitlist_offer", {
+          title: localize(excursion, "title", lang) || slot.excursion,
+          date: formatBookingDate(slot.date, lang),
+          time: slot.time,
+          people: entry.people,
+          until: formatDateTime(expiresAt).slice(-5),
+        }),
+        {
+          inline_keyboard: [
+            [
+              { text: translate(lang, "btn_waitlist_book"), callback_data: `wl:ok:${entry.id}` },
+              { text: translate(lang, "btn_waitlist_decline"), callback_data: `wl:no:${entry.id}` },
+            ],
+          ],
+        }
+      );
+    }
+
+    if (!(await readWaitlist(slot.key)).length) await closeWaitlist(slot);
+  }
+
+  async function closeWaitlist(slot) {
+    for (const entry of await readWaitlist(slot.key)) {
+      if (entry.offer) await releaseSeats(slot.slotKey, entry.people);
+    }
+    await env.BOOKINGS.delete(slot.key);
+    await updateKvRecord("idx:waitlist", (rec) => {
+      const ids = rec.ids || [];
+      return ids.includes(slot.key) ? { ids: ids.filter((key) => key !== slot.key) } : null;
+    });
+  }
+
+  // Cron: истёкшие предложения и прошедшие слоты по всем листам
+  async function processAllWaitlists() {
+    for (const key of await getIndexIds("idx:waitlist")) {
+      const slot = parseWaitlistSlot(key.replace(/^waitlist:/, "seats:"));
+      if (slot) await processWaitlist(slot);
+    }
+  }
+
+  // Запись листа ожидания по id (для кнопок предложения)
+  async function findWaitlistEntry(entryId) {
+    for (const key of await getIndexIds("idx:waitlist")) {
+      const entry = (await readWaitlist(key)).find((e) => e.id === entryId);
+      if (entry) return { slot: parseWaitlistSlot(key.replace(/^waitlist:/, "seats:")), entry };
+    }
+    return null;
+  }
+
+  // wl:ok:<entryId> / wl:no:<entryId> — ответ на предложение; wl:join:<bookingId> — из отказа «нет мест»
+  async function handleWaitlistCallback(callbackQuery, lang = DEFAULT_LANG) {
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const [, action, id] = (callbackQuery.data || "").split(":");
+
+    if (action === "join") {
+      const booking = await getBooking(id);
+      const d = booking?.data || {};
+      const canJoin =
+        booking &&
+        String(booking.chatId) === String(chatId) &&
+        booking.type === "excursion" &&
+        booking.status === "cancelled" &&
+        booking.rejectReason?.code === "full" &&
+        (await isSlotFullFor(booking)) &&
+        Boolean((await getOpenSlots(d.excursion, d.date)).find((s) => s.time === d.time));
+      if (!canJoin) {
+        await answerCallbackQuery(cbId, translate(lang, "waitlist_join_unavailable"), true);
+        return;
+      }
+      lang = booking.lang || lang;
+      const position = await joinWaitlist(d.excursion, d.date, d.time, {
+        chatId,
+        lang,
+        name: d.name,
+        people: booking.people,
+        children: d.children,
+        contact: d.contact,
+      });
+      await editMessageText(
+        chatId,
+        messageId,
+        translate(lang, "waitlist_joined", {
+          title: await formatGuestTitle(booking, lang),
+          date: formatBookingDate(d.date, lang),
+          time: d.time,
+          people: booking.people,
+          position,
+        })
+      );
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    const found = await findWaitlistEntry(id);
+    if (!found || !found.entry.offer || String(found.entry.chatId) !== String(chatId)) {
+      await editMessageText(chatId, messageId, translate(lang, "waitlist_offer_expired"));
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+    const { slot } = found;
+    lang = found.entry.lang || lang;
+    const entry = await removeWaitlistEntry(slot, id);
+    if (!entry?.offer) {
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (action === "no") {
+      await releaseSeats(slot.slotKey, entry.people);
+      await editMessageText(chatId, messageId, translate(lang, "waitlist_declined"));
+      await answerCallbackQuery(cbId, "");
+      await processWaitlist(slot);
+      return;
+    }
+
+    // Удержанные места переходят в заявку как уже зарезервированные — заявка создаётся тем же путём, что и в диалоге
+    const booking = await submitExcursionBooking({
+      chatId: entry.chatId,
+      lang,
+      name: entry.name,
+      excursion: slot.excursion,
+      date: slot.date,
+      time: slot.time,
+      people: String(entry.people),
+      children: entry.children,
+      contact: entry.contact,
+      source: "waitlist",
+      seatsHeld: true,
+    });
+    if (!booking) await releaseSeats(slot.slotKey, entry.people);
+    await editMessageText(
+      chatId,
+      messageId,
+      booking ? await formatExcursionSentText(booking, lang) : translate(lang, "booking_sold_out")
+    );
+    await answerCallbackQuery(cbId, "");
+    await processWaitlist(slot);
+  }
+
+  // === MINI APP (/app) =====================================================
+  // Форма записи в Telegram Mini App. Каталог и слоты — открытые GET (то же видно в боте),
+  // заявка — POST с initData (проверка HMAC) или Telegram.WebApp.sendData → message.web_app_data.
+
+  // initData: secret = HMAC_SHA256("WebAppData", BOT_TOKEN),
+  // hash = HMAC_SHA256(secret, пары key=value кроме hash, по алфавиту ключей, через \n).
+  // Возвращает пользователя из initData или null.
+  async function verifyWebAppInitData(initData) {
+    const params = new URLSearchParams(initData || "");
+    const hash = params.get("hash");
+    if (!hash || !env.BOT_TOKEN) return null;
+    params.delete("hash");
+    const checkString = [...params.entries()]
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([key, value]) => `${key}=${value}`)
+      .join("\n");
+    const secret = await hmacSha256("WebAppData", env.BOT_TOKEN);
+    const expected = [...(await hmacSha256(secret, checkString))].map((b) => b.toString(16).padStart(2, "0")).join("");
+    if (!safeEqual(expected, hash)) return null;
+
+    const authDate = Number(params.get("auth_date")) || 0;
+    if (Date.now() / 1000 - authDate > WEBAPP_INIT_MAX_AGE_SEC) return null;
+    try {
+      const user = JSON.parse(params.get("user") || "null");
+      return user?.id ? user : null;
+    } catch (e) {
+      console.log("initData user parse error", String(e));
+      return null;
+    }
+  }
+
+  // Проверка формы по правилам диалога: открытый слот со свободными местами, гости, дети, контакт.
+  // form: { name, excursion, date, time, people, children, contact }
+  // Возвращает { booking } или { error, params } — ключ I18N для ответа гостю.
+  async function submitAppBooking(form, chatId, lang) {
+    const name = String(form?.name || "").trim().slice(0, 100);
+    const contact = String(form?.contact || "").trim();
+    const people = String(form?.people || "");
+    const date = String(form?.date || "");
+    const time = String(form?.time || "");
+    if (!name) return { error: "ask_name" };
+
+    const excursion = await getExcursion(String(form?.excursion || ""));
+    if (!excursion) return { error: "excursion_not_found" };
+    if (!EXCURSION_PEOPLE_OPTIONS.includes(people)) return { error: "pick_people" };
+    const isGroup = people === "6-10" || people === "11+";
+    const children = isGroup ? 0 : Number(form?.children) || 0;
+    if (!Number.isInteger(children) || children < 0 || children > Number(people)) {
+      return { error: "pick_children" };
+    }
+    if (!isValidContact(contact)) return { error: "invalid_contact" };
+
+    const slot = /^\d{4}-\d{2}-\d{2}$/.test(date)
+      ? (await getFreeSlots(excursion.id, date)).find((s) => s.time === time)
+      : null;
+    if (!slot) return { error: "time_taken" };
+    if (!isGroup && Number(people) > slot.free) return { error: "slot_left", params: { time, free: slot.free } };
+
+    const booking = await submitExcursionBooking({
+      chatId,
+      lang,
+      name,
+      excursion: excursion.id,
+      date,
+      time,
+      people,
+      children,
+      contact,
+      source: "app",
+    });
+    return booking ? { booking } : { error: "booking_sold_out" };
+  }
+
+  // Ключи I18N, которые нужны странице (остальное сервер присылает готовым текстом)
+  const APP_STRINGS = [
+    "app_title", "app_name", "app_excursion", "app_date", "app_time", "app_people", "app_children",
+    "app_contact", "app_submit", "app_fill_all", "app_error", "app_no_dates", "date_no_slots", "total_group",
+    "btn_group_small", "btn_group_large", "months", "calendar_weekdays",
+  ];
+
+  function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { "content-type": "application/json; charset=utf-8", "cache-control": "no-store" },
+    });
+  }
+
+  async function handleWebAppRequest(request, url) {
+    const path = url.pathname.replace(/\/+$/, "") || "/app";
+
+    if (path === "/app" && request.method === "GET") {
+      return new Response(WEBAPP_HTML, {
+        headers: {
+          "content-type": "text/html; charset=utf-8",
+          "content-security-policy":
+            "default-src 'none'; script-src 'self' https://telegram.org; style-src 'unsafe-inline'; " +
+            "connect-src 'self'; base-uri 'none'; form-action 'none'",
+        },
+      });
+    }
+    if (path === "/app/app.js" && request.method === "GET") {
+      return new Response(WEBAPP_JS, { headers: { "content-type": "text/javascript; charset=utf-8" } });
+    }
+
+    // ?lang= — язык из кнопки бота или language_code пользователя
+    if (path === "/app/api/catalog" && request.method === "GET") {
+      const lang = LANGUAGES[url.searchParams.get("lang")] ? url.searchParams.get("lang") : detectLang(url.searchParams.get("lang"));
+      const schedule = await getSchedule();
+      const dates = [];
+      for (let i = 0; i < BOOKING_DAYS_AHEAD; i++) {
+        const date = farmDateIso(i);
+        if (isDateOpen(schedule, date)) dates.push(date);
+      }
+      const excursions = (await getExcursions()).map((e) => ({
+        id: e.id,
+        title: localize(e, "title", lang),
+        details:
+          formatDuration(e.durationMin, lang) +
+          " · " +
+          translate(lang, "catalog_prices", { adult: formatPrice(e.priceAdult), child: formatPrice(e.priceChild) }).trim(),
+      }));
+      const strings = Object.fromEntries(APP_STRINGS.map((key) => [key, translate(lang, key)]));
+      return jsonResponse({ lang, strings, excursions, dates, people: EXCURSION_PEOPLE_OPTIONS });
+    }
+
+    if (path === "/app/api/slots" && request.method === "GET") {
+      const date = url.searchParams.get("date") || "";
+      const excursion = await getExcursion(url.searchParams.get("excursion") || "");
+      if (!excursion || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return jsonResponse({ slots: [] });
+      const slots = await getFreeSlots(excursion.id, date);
+      return jsonResponse({ slots: slots.map((s) => ({ time: s.time, free: s.free })) });
+    }
+
+    if (path === "/app/api/book" && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch (e) {
+        return jsonResponse({ ok: false, error: "Bad Request" }, 400);
+      }
+      const user = await verifyWebAppInitData(body?.initData);
+      if (!user) {
+        console.log("WEBAPP initData check failed");
+        return jsonResponse({ ok: false, error: "Unauthorized" }, 401);
+      }
+      const lang = await getUserLang(user.id, user.language_code);
+      // Mini App открывается в личном чате с ботом: chat_id = user.id
+      const res = await submitAppBooking(body.form, user.id, lang);
+      if (!res.booking) {
+        return jsonResponse({ ok: false, error: translate(lang, res.error, res.params) });
+      }
+      const text = await formatExcursionSentText(res.booking, lang);
+      await sendMessage(user.id, text);
+      return jsonResponse({ ok: true, text });
+    }
+
+    return new Response("Not Found", { status: 404 });
+  }
+
+  // === EXPORT (CSV / iCalendar) ============================================
+  // "2026-11-02" + 3 => "2026-11-05"
+  function addDaysIso(iso, days) {
+    return new Date(Date.parse(`${iso}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+  }
+
+  // Диапазон выгрузки из аргументов (/export, ?from=&to=): без дат — defaults, одна дата — один день.
+  // null — дата не разобрана, конец раньше начала или диапазон длиннее EXPORT_MAX_DAYS.
+  function parseExportRange(fromArg, toArg, defaults) {
+    if (!fromArg && !toArg) return defaults;
+    const from = parseDateArg(fromArg);
+    const to = toArg ? parseDateArg(toArg) : from;
+    if (!from || !to || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to))) return null;
+    if (to < from || addDaysIso(from, EXPORT_MAX_DAYS - 1) < to) return null;
+    return { from, to };
+  }
+
+  // Заявки с датой визита from..to включительно (по индексам idx:date:*), по дате и времени
+  async function getBookingsInRange(from, to) {
+    const bookings = [];
+    for (let date = from; date <= to; date = addDaysIso(date, 1)) {
+      bookings.push(...(await getIndexedBookings(`idx:date:${date}`)));
+    }
+    return bookings.sort(
+      (a, b) =>
+        String(a.data?.date).localeCompare(String(b.data?.date)) ||
+        String(a.data?.time).localeCompare(String(b.data?.time)) ||
+        a.createdAt - b.createdAt
+    );
+  }
+
+  // Ячейка CSV: кавычки при необходимости. Имя и контакт вводит гость, поэтому ячейка, начинающаяся
+  // с =, +, -, @, табуляции или CR, экранируется "'". Телефон ("+", дальше только цифры, пробелы, скобки
+  // и дефисы) формулой быть не может — он остаётся как есть, в кавычках, чтобы сотрудники могли его набрать.
+  function csvCell(value) {
+    let s = String(value ?? "");
+    const phone = /^\+[\d\s()-]+$/.test(s);
+    if (!phone && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+    return phone || /[",;\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // BOM — чтобы Excel открыл кириллицу в UTF-8
+  function buildBookingsCsv(bookings) {
+    const lines = [EXPORT_CSV_COLUMNS.join(",")];
+    for (const b of bookings) {
+      const d = b.data || {};
+      lines.push(
+        [
+          csvCell(b.id),
+          csvCell(b.status),
+          csvCell(d.name),
+          csvCell(d.date),
+          csvCell(d.time),
+          csvCell(d.people || b.people),
+          csvCell(d.contact),
+          csvCell(b.type),
+        ].join(",")
+      );
+    }
+    return "\uFEFF" + lines.join("\r\n") + "\r\n";
+  }
+
+  // "2026-11-02" + "11:30" (время фермы) => "20261102T083000Z"
+  function formatIcsUtc(date, time, addMinutes = 0) {
+    const ts = Date.parse(`${date}T${time}:00Z`) + (addMinutes - FARM_UTC_OFFSET_MIN) * 60000;
+    return new Date(ts).toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+  }
+
+  function escapeIcsText(value) {
+    return String(value ?? "")
+      .replace(/\\/g, "\\\\")
+      .replace(/([,;])/g, "\\$1")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  // RFC 5545: строки длиннее 75 байт переносятся, продолжение начинается с пробела
+  const icsEncoder = new TextEncoder();
+  function foldIcsLine(line) {
+    const parts = [];
+    let current = "";
+    let bytes = 0;
+    for (const ch of line) {
+      const size = icsEncoder.encode(ch).length;
+      if (bytes + size > 75) {
+        parts.push(current);
+        current = " ";
+        bytes = 1;
+      }
+      current += ch;
+      bytes += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n");
+  }
+
+  // Календарь подтверждённых экскурсий; длительность события — из каталога
+  async function buildBookingsIcs(bookings) {
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      "PRODID:-//Blue Cow Farm//farm-telegram-bot//RU",
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      "X-WR-CALNAME:Ферма — экскурсии",
+    ];
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15) + "Z";
+    for (const b of bookings) {
+      const d = b.data || {};
+      if (b.type !== "excursion" || b.status !== "confirmed") continue;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(String(d.date)) || !/^\d{2}:\d{2}$/.test(String(d.time))) continue;
+      const excursion = await getExcursion(d.excursion);
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${b.id}@farm-telegram-bot`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${formatIcsUtc(d.date, d.time)}`,
+        `DTEND:${formatIcsUtc(d.date, d.time, excursion?.durationMin || 60)}`,
+        `SUMMARY:${escapeIcsText(`${formatBookingTitle(b)} — ${d.name || "—"}, гостей: ${d.people || b.people}`)}`,
+        `DESCRIPTION:${escapeIcsText(`ID: ${b.id}\n` + formatBookingDetails(b))}`,
+        "END:VEVENT"
+      );
+    }
+    lines.push("END:VCALENDAR");
+    return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+  }
+
+  // Файл выгрузки для /export и HTTP: { filename, mimeType, content, count }
+  async function buildExportFile(format, from, to) {
+    const bookings = await getBookingsInRange(from, to);
+    if (format === "ics") {
+      const confirmed = bookings.filter((b) => b.type === "excursion" && b.status === "confirmed");
+      return {
+        filename: `excursions_${from}_${to}.ics`,
+        mimeType: "text/calendar; charset=utf-8",
+        content: await buildBookingsIcs(confirmed),
+        count: confirmed.length,
+      };
+    }
+    return {
+      filename: `bookings_${from}_${to}.csv`,
+      mimeType: "text/csv; charset=utf-8",
+      content: buildBookingsCsv(bookings),
+      count: bookings.length,
+    };
+  }
+
+  // GET /export.csv?token=…&from=…&to=… и /calendar.ics?token=… (подписка в календаре).
+  // Календари не умеют передавать заголовки, поэтому EXPORT_TOKEN — в query string.
+  async function handleExportRequest(request, url) {
+    if (request.method !== "GET") {
+      return new Response("Method Not Allowed", { status: 405 });
+    }
+    if (!env.EXPORT_TOKEN) {
+      console.log("EXPORT_TOKEN is empty — rejecting export request");
+      return new Response("Unauthorized", { status: 401 });
+    }
+    if (!safeEqual(url.searchParams.get("token"), env.EXPORT_TOKEN)) {
+      console.log("EXPORT token mismatch");
+      return new Response("Unauthorized", { status: 401 });
+    }
+
+    const format = url.pathname === "/calendar.ics" ? "ics" : "csv";
+    const defaults =
+      format === "ics"
+        ? { from: farmDateIso(-ICS_PAST_DAYS), to: farmDateIso(BOOKING_DAYS_AHEAD - 1) }
+        : { from: farmDateIso(0), to: farmDateIso(6) };
+    const range = parseExportRange(url.searchParams.get("from"), url.searchParams.get("to"), defaults);
+    if (!range) {
+      return new Response(`Bad Request: from/to — YYYY-MM-DD, не больше ${EXPORT_MAX_DAYS} дней`, { status: 400 });
+    }
+
+    const file = await buildExportFile(format, range.from, range.to);
+    return new Response(file.content, {
+      status: 200,
+      headers: {
+        "content-type": file.mimeType,
+        "content-disposition": `${format === "ics" ? "inline" : "attachment"}; filename="${file.filename}"`,
+        "cache-control": "no-store",
+      },
+    });
+  }
+
+  // === ADMIN WEB (/admin) ==================================================
+  // Таблица заявок с фильтрами и расписание дня. Подтверждение и отклонение идут через
+  // decideBooking / applyRejectReason — те же переходы и уведомления гостю, что и кнопки в Telegram.
+  const WEB_HEADERS = {
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+    "content-security-policy":
+      "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'",
+  };
+
+  function webPage(title, body, status = 200, headers = {}) {
+    const html =
+      `<!doctype html><html lang="ru"><head><meta charset="utf-8">` +
+      `<meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title>` +
+      `<style>
+body{font:14px/1.4 system-ui,sans-serif;margin:16px;color:#222}
+table{border-collapse:collapse;width:100%}th,td{border-bottom:1px solid #ddd;padding:6px;text-align:left;vertical-align:top}
+th{background:#f4f4f4}nav a{margin-right:12px}form.inline{display:inline-block;margin:2px 0}
+.flash{padding:8px;background:#eef6ee;border:1px solid #9c9;margin:8px 0}.muted{color:#888}
+.slot{margin:16px 0 4px;font-weight:600}.filters input,.filters select{margin-right:8px}
+</style></head><body>${body}</body></html>`;
+    return new Response(html, { status, headers: { ...WEB_HEADERS, ...headers } });
+  }
+
+  function readCookie(request, name) {
+    for (const part of (request.headers.get("cookie") || "").split(";")) {
+      const [key, ...rest] = part.trim().split("=");
+      if (key === name) return rest.join("=");
+    }
+    return null;
+  }
+
+  async function getWebSession(request) {
+    const id = readCookie(request, WEB_SESSION_COOKIE);
+    if (!id) return null;
+    const raw = await env.STATE.get(`websession:${id}`);
+    if (!raw) return null;
     try {
-      const url = new URL(request.url);
-      // Health check / any other path
-      if (url.pathname !== "/webhook") {
-        return new Response("OK", { status: 200 });
+      return { id, ...JSON.parse(raw) };
+    } catch (e) {
+      console.log("websession parse error", String(e));
+      return null;
+    }
+  }
+
+  async function saveWebSession(session) {
+    const { id, ...data } = session;
+    await env.STATE.put(`websession:${id}`, JSON.stringify(data), { expirationTtl: WEB_SESSION_TTL_SEC });
+  }
+
+  function webRedirect(location, headers = {}) {
+    return new Response(null, { status: 303, headers: { location, "cache-control": "no-store", ...headers } });
+  }
+
+  async function handleAdminWebRequest(request, url) {
+    const path = url.pathname.replace(/\/+$/, "") || "/admin";
+
+    // GET — страница с кнопкой входа (превью ссылок и prefetch не должны сжечь токен), POST — вход
+    if (path === "/admin/login") {
+      if (request.method === "GET") {
+        const token = url.searchParams.get("token") || "";
+        return webPage(
+          "Вход",
+          `<h1>Веб-панель фермы</h1><form method="post" action="/admin/login">` +
+            `<input type="hidden" name="token" value="${escapeHtml(token)}">` +
+            `<button type="submit">Войти</button></form>`
+        );
+      }
+      if (request.method !== "POST") {
+        return new Response("Method Not Allowed", { status: 405 });
+      }
+      const form = await request.formData();
+      const token = String(form.get("token") || "");
+      const raw = /^[0-9a-f-]{36}$/.test(token) ? await env.STATE.get(`weblogin:${token}`) : null;
+      if (!raw) {
+        return webPage("Вход", "<p>Ссылка недействительна или уже использована. Получите новую командой /web в боте.</p>", 401);
+      }
+      await env.STATE.delete(`weblogin:${token}`);
+      const { user } = JSON.parse(raw);
+      if (!(await hasPermission(user.id, "view"))) {
+        return webPage("Вход", "<p>Недостаточно прав.</p>", 403);
+      }
+      const session = { id: crypto.randomUUID(), user, csrf: crypto.randomUUID() };
+      await saveWebSession(session);
+      return webRedirect("/admin", {
+        "set-cookie":
+          `${WEB_SESSION_COOKIE}=${session.id}; Path=/admin; HttpOnly; Secure; SameSite=Lax; Max-Age=${WEB_SESSION_TTL_SEC}`,
+      });
+    }
+
+    const session = await getWebSession(request);
+    if (!session) {
+      return webPage("Вход", "<p>Сессия истекла. Получите ссылку на панель командой /web в личном чате с ботом.</p>", 401);
+    }
+    // Роль проверяется на каждом запросе: удалённый сотрудник теряет доступ сразу
+    if (!(await hasPermission(session.user.id, "view"))) {
+      await env.STATE.delete(`websession:${session.id}`);
+      return webPage("Доступ", "<p>Недостаточно прав.</p>", 403);
+    }
+
+    if (request.method === "POST") {
+      const form = await request.formData();
+      if (!safeEqual(form.get("csrf"), session.csrf)) {
+        return new Response("Forbidden", { status: 403 });
+      }
+      if (path === "/admin/logout") {
+        await env.STATE.delete(`websession:${session.id}`);
+        return webPage("Выход", "<p>Вы вышли. Новая ссылка на панель — команда /web в боте.</p>", 200, {
+          "set-cookie": `${WEB_SESSION_COOKIE}=; Path=/admin; HttpOnly; Secure; SameSite=Lax; Max-Age=0`,
+        });
+      }
+      if (path === "/admin/action") {
+        session.flash = await applyWebAction(form, session.user);
+        await saveWebSession(session);
+        const back = String(form.get("back") || "");
+        return webRedirect(/^\/admin(\?|$)/.test(back) ? back : "/admin");
+      }
+      return new Response("Not Found", { status: 404 });
+    }
+
+    if (path !== "/admin" || request.method !== "GET") {
+      return new Response("Not Found", { status: 404 });
+    }
+
+    const flash = session.flash;
+    if (flash) {
+      delete session.flash;
+      await saveWebSession(session);
+    }
+    const view = url.searchParams.get("view") === "day" ? "day" : "table";
+    const content = view === "day" ? await renderWebDay(url, session) : await renderWebTable(url, session);
+    if (!content) {
+      return webPage("Заявки", "<p>Неверная дата или период (не больше " + EXPORT_MAX_DAYS + " дней).</p>", 400);
+    }
+    const role = await getStaffRole(session.user.id);
+    const header =
+      `<nav><a href="/admin">Таблица заявок</a><a href="/admin?view=day">Расписание дня</a>` +
+      `<a href="/admin?status=new">Все новые</a><a href="/admin?status=reschedule_requested">Запросы переноса</a>` +
+      `<span class="muted">${escapeHtml(formatActorName(session.user))}, ${escapeHtml(STAFF_ROLES[role].label)}</span> ` +
+      `<form class="inline" method="post" action="/admin/logout"><input type="hidden" name="csrf" value="${session.csrf}">` +
+      `<button type="submit">Выйти</button></form></nav>` +
+      (flash ? `<div class="flash">${escapeHtml(flash)}</div>` : "");
+    return webPage(content.title, header + content.html);
+  }
+
+  // Подтверждение / отклонение из формы; возвращает текст для плашки над таблицей
+  async function applyWebAction(form, user) {
+    const booking = await getBooking(String(form.get("id") || ""));
+    if (!booking) return "Заявка не найдена.";
+    if (!(await canDecide(user.id, booking))) {
+      return formatPermissionDenied("подтверждать и отклонять заявки", "decide");
+    }
+
+    const res = await decideBooking(booking, String(form.get("action") || ""), user);
+    if (!res.ok) return res.error;
+
+    if (res.action === "cancel") {
+      const reason = String(form.get("reason") || "none");
+      const customText = String(form.get("reason_text") || "").trim().slice(0, 500);
+      const code = REJECT_REASONS[reason] ? reason : reason === "custom" && customText ? "custom" : "none";
+      await applyRejectReason(booking, code, code === "custom" ? customText : REJECT_REASONS[code] || null, user, null, null);
+    }
+
+    // Карточка в админском чате: сотрудники видят решение, принятое в панели
+    const isReschedule = res.action === "reschedule_confirm" || res.action === "reschedule_decline";
+    let adminText = "🖥 Веб-панель\n" + formatDecisionText(booking, res.action);
+    if (booking.rejectReason) adminText += `\nПричина отклонения: ${booking.rejectReason.text || "без причины"}`;
+    let keyboard = isReschedule ? null : buildAdminMessageKeyboard(booking.id);
+    if (isReschedule && booking.status === "new") keyboard = buildAdminBookingKeyboard(booking.id);
+    await notifyAdmin(adminText, keyboard);
+
+    const done = {
+      confirm: "Заявка подтверждена, гость уведомлён.",
+      cancel: "Заявка отклонена, гость уведомлён.",
+      reschedule_confirm: "Перенос подтверждён.",
+      reschedule_decline: "Перенос отклонён.",
+    };
+    return `${done[res.action]} (${booking.data?.name || booking.id})`;
+  }
+
+  // Кнопки решения для строки таблицы; back — куда вернуться после действия
+  async function renderWebActions(booking, session, back) {
+    const canAct =
+      ["new", "confirmed", "cancelled", "reschedule_requested"].includes(booking.status) &&
+      (await canDecide(session.user.id, booking));
+    if (!canAct) return "";
+    const hidden =
+      `<input type="hidden" name="csrf" value="${session.csrf}">` +
+      `<input type="hidden" name="id" value="${escapeHtml(booking.id)}">` +
+      `<input type="hidden" name="back" value="${escapeHtml(back)}">`;
+    const button = (action, label) =>
+      `<form class="inline" method="post" action="/admin/action">${hidden}` +
+      `<input type="hidden" name="action" value="${action}"><button type="submit">${label}</button></form>`;
+
+    if (booking.status === "reschedule_requested" && booking.reschedule) {
+      return button("confirm", "✅ Перенести") + " " + button("cancel", "↩️ Оставить");
+    }
+    let html = booking.status === "confirmed" ? "" : button("confirm", "✅ Подтвердить");
+    if (booking.status !== "cancelled") {
+      const options = Object.entries(REJECT_REASONS)
+        .map(([code, label]) => `<option value="${code}">${escapeHtml(label)}</option>`)
+        .join("");
+      html +=
+        `<form class="inline" method="post" action="/admin/action">${hidden}` +
+        `<input type="hidden" name="action" value="cancel">` +
+        `<select name="reason"><option value="none">Без причины</option>${options}` +
+        `<option value="custom">Своя причина →</option></select> ` +
+        `<input name="reason_text" placeholder="своя причина" maxlength="500"> ` +
+        `<button type="submit">❌ Отклонить</button></form>`;
+    }
+    return html;
+  }
+
+  async function renderWebRow(booking, session, back, withDate) {
+    const d = booking.data || {};
+    let status = escapeHtml(formatStatus(booking.status));
+    if (booking.status === "reschedule_requested" && booking.reschedule) {
+      status += `<br>на ${escapeHtml(formatDateRu(booking.reschedule.date))} ${escapeHtml(booking.reschedule.time)}`;
+    }
+    if (booking.rejectReason?.text) status += `<br><span class="muted">${escapeHtml(booking.rejectReason.text)}</span>`;
+    return (
+      "<tr>" +
+      (withDate ? `<td>${escapeHtml(formatBookingDate(d.date))}</td>` : "") +
+      `<td>${escapeHtml(d.time || "—")}</td>` +
+      `<td>${escapeHtml(formatBookingTitle(booking))}<br><span class="muted">${escapeHtml(booking.id)}</span></td>` +
+      `<td>${escapeHtml(d.name || "—")}</td>` +
+      `<td>${escapeHtml(d.people || booking.people || "—")}${d.children ? ` (детей: ${escapeHtml(d.children)})` : ""}</td>` +
+      `<td>${escapeHtml(d.contact || "—")}</td>` +
+      `<td>${status}</td>` +
+      `<td>${await renderWebActions(booking, session, back)}</td>` +
+      "</tr>"
+    );
+  }
+
+  // ?from=&to=&status=&type=&q= — без дат со статусом: заявки статуса (idx:status:*) по страницам
+  // (&page=, новые сначала), иначе — период (неделя)
+  async function renderWebTable(url, session) {
+    const params = url.searchParams;
+    const status = params.get("status") || "";
+    const type = params.get("type") || "";
+    const q = (params.get("q") || "").trim().toLowerCase();
+    const fromArg = params.get("from") || "";
+    const toArg = params.get("to") || "";
+
+    let bookings;
+    let period;
+    let pager = "";
+    if (!fromArg && !toArg && status) {
+      // Индекс статуса растёт без ограничений (confirmed — за всё время): читаем только одну страницу
+      const ids = (await getIndexIds(`idx:status:${status}`)).reverse();
+      const pages = Math.max(1, Math.ceil(ids.length / WEB_TABLE_PAGE_SIZE));
+      const page = Math.min(Math.max(0, parseInt(params.get("page") || "0", 10) || 0), pages - 1);
+      bookings = [];
+      for (const id of ids.slice(page * WEB_TABLE_PAGE_SIZE, (page + 1) * WEB_TABLE_PAGE_SIZE)) {
+        const booking = await getBooking(id);
+        if (booking) bookings.push(booking);
+      }
+      bookings.sort(
+        (a, b) =>
+          String(a.data?.date).localeCompare(String(b.data?.date)) ||
+          String(a.data?.time).localeCompare(String(b.data?.time))
+      );
+      period = pages > 1 ? `все даты (всего ${ids.length}), стр. ${page + 1}/${pages}` : "все даты";
+      const pageLink = (n, label) => {
+        const linkParams = new URLSearchParams(params);
+        linkParams.set("page", String(n));
+        return `<a href="/admin?${escapeHtml(linkParams.toString())}">${label}</a>`;
+      };
+      if (pages > 1) {
+        pager =
+          "<p>" +
+          [page > 0 ? pageLink(page - 1, "‹ новее") : "", page < pages - 1 ? pageLink(page + 1, "старше ›") : ""]
+            .filter(Boolean)
+            .join(" · ") +
+          "</p>";
+      }
+    } else {
+      const range = parseExportRange(fromArg, toArg, { from: farmDateIso(0), to: farmDateIso(6) });
+      if (!range) return null;
+      bookings = await getBookingsInRange(range.from, range.to);
+      period = `${formatDateRu(range.from)}–${formatDateRu(range.to)}`;
+    }
+    bookings = bookings.filter((b) => {
+      if (status && b.status !== status) return false;
+      if (type && b.type !== type) return false;
+      if (q) {
+        const d = b.data || {};
+        const haystack = [b.id, d.name, d.contact, d.excursionTitle, d.eventTitle].join(" ").toLowerCase();
+        if (!haystack.includes(q)) return false;
+      }
+      return true;
+    });
+
+    const statusOptions = Object.keys(I18N[DEFAULT_LANG])
+      .filter((k) => k.startsWith("status_"))
+      .map((k) => k.slice("status_".length))
+      .map((s) => `<option value="${s}"${s === status ? " selected" : ""}>${escapeHtml(formatStatus(s))}</option>`)
+      .join("");
+    const types = { excursion: "Экскурсии", event: "Мероприятия", preorder: "Предзаказы" };
+    const typeOptions = Object.entries(types)
+      .map(([v, label]) => `<option value="${v}"${v === type ? " selected" : ""}>${label}</option>`)
+      .join("");
+
+    const back = `/admin?${params.toString()}`;
+    let rows = "";
+    for (const b of bookings) rows += await renderWebRow(b, session, back, true);
+
+    const html =
+      `<h1>Заявки: ${escapeHtml(period)} — ${bookings.length}</h1>` +
+      `<form class="filters" method="get" action="/admin">` +
+      `с <input type="date" name="from" value="${escapeHtml(fromArg)}"> по <input type="date" name="to" value="${escapeHtml(toArg)}">` +
+      `<select name="status"><option value="">Все статусы</option>${statusOptions}</select>` +
+      `<select name="type"><option value="">Все типы</option>${typeOptions}</select>` +
+      `<input name="q" placeholder="имя, контакт, ID" value="${escapeHtml(params.get("q") || "")}">` +
+      `<button type="submit">Показать</button></form>` +
+      (bookings.length
+        ? "<table><tr><th>Дата</th><th>Время</th><th>Заявка</th><th>Имя</th><th>Гостей</th><th>Контакт</th>" +
+          `<th>Статус</th><th>Действия</th></tr>${rows}</table>`
+        : "<p>Нет заявок.</p>") +
+      pager;
+    return { title: "Заявки", html };
+  }
+
+  // ?view=day&date= — расписание дня по времени; отклонённые и отменённые не показываются
+  async function renderWebDay(url, session) {
+    const date = parseDateArg(url.searchParams.get("date") || "");
+    if (!date || Number.isNaN(Date.parse(date))) return null;
+
+    const bookings = (await getIndexedBookings(`idx:date:${date}`)).filter(
+      (b) => b.status !== "cancelled" && b.status !== "cancelled_by_user"
+    );
+    bookings.sort((a, b) => String(a.data?.time).localeCompare(String(b.data?.time)) || a.createdAt - b.createdAt);
+
+    const back = `/admin?view=day&date=${date}`;
+    const byTime = new Map();
+    for (const b of bookings) {
+      const time = b.data?.time || "—";
+      if (!byTime.has(time)) byTime.set(time, []);
+      byTime.get(time).push(b);
+    }
+
+    let html =
+      `<h1>Расписание: ${escapeHtml(formatBookingDate(date))}</h1>` +
+      `<p><a href="/admin?view=day&date=${addDaysIso(date, -1)}">‹ ${formatDateRu(addDaysIso(date, -1))}</a> · ` +
+      `<a href="/admin?view=day">сегодня</a> · ` +
+      `<a href="/admin?view=day&date=${addDaysIso(date, 1)}">${formatDateRu(addDaysIso(date, 1))} ›</a></p>`;
+    if (!bookings.length) return { title: "Расписание", html: html + "<p>Заявок нет.</p>" };
+
+    for (const [time, group] of byTime) {
+      const guests = (list) => list.reduce((sum, b) => sum + (Number(b.people) || 0), 0);
+      const confirmed = group.filter((b) => b.status === "confirmed");
+      html +=
+        `<div class="slot">${escapeHtml(time)} — подтверждено гостей: ${guests(confirmed)}, ` +
+        `ожидают ответа: ${group.length - confirmed.length}</div>` +
+        "<table><tr><th>Время</th><th>Заявка</th><th>Имя</th><th>Гостей</th><th>Контакт</th><th>Статус</th><th>Действия</th></tr>";
+      for (const b of group) html += await renderWebRow(b, session, back, false);
+      html += "</table>";
+    }
+    return { title: "Расписание", html };
+  }
+
+  // === REMINDERS (cron) ====================================================
+  // Напоминание гостям о подтверждённых визитах на завтра.
+  // Идемпотентно: reminderSentAt сохраняется ДО отправки, поэтому повторный
+  // запуск cron (или ретрай) не отправит напоминание второй раз.
+  async function sendReminders() {
+    const date = farmDateIso(1);
+    const bookings = await getIndexedBookings(`idx:date:${date}`);
+    let sent = 0;
+
+    for (const booking of bookings) {
+      if (booking.status !== "confirmed" || booking.reminderSentAt || !booking.chatId) continue;
+      if (booking.type === "preorder") continue;
+
+      booking.reminderSentAt = Date.now();
+      await saveBooking(booking);
+
+      const d = booking.data || {};
+      const lang = booking.lang || DEFAULT_LANG;
+      const title = await formatGuestTitle(booking, lang);
+      const address = await getContent("address", lang);
+      await sendMessage(
+        booking.chatId,
+        translate(lang, "reminder", { date: formatBookingDate(d.date, lang), time: d.time }) +
+          translate(lang, d.eventId ? "label_event" : "label_excursion", { title }) +
+          translate(lang, "label_guests", { people: d.people }) +
+          "\n" +
+          `${address.text}\n\n` +
+          translate(lang, "reminder_confirm"),
+        {
+          inline_keyboard: [
+            [
+              { text: translate(lang, "btn_rsvp_yes"), callback_data: `rsvp:yes:${booking.id}` },
+              { text: translate(lang, "btn_rsvp_no"), callback_data: `rsvp:no:${booking.id}` },
+            ],
+          ],
+        }
+      );
+      sent++;
+    }
+
+    console.log("REMINDERS", { date, sent });
+  }
+
+  // rsvp:yes:<id> / rsvp:no:<id> — ответ гостя на напоминание.
+  // "Не смогу" отменяет заявку (cancelled_by_user) и освобождает места.
+  // lang — язык нажавшего; ответы — на языке заявки, на котором пришло напоминание.
+  async function handleRsvpCallback(callbackQuery, lang = DEFAULT_LANG) {
+    const data = callbackQuery.data || "";
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const [, answer, bookingId] = data.split(":");
+
+    const booking = await getBooking(bookingId);
+    if (!booking || String(booking.chatId) !== String(chatId)) {
+      await answerCallbackQuery(cbId, translate(lang, "not_found"));
+      return;
+    }
+    lang = booking.lang || lang;
+    if (booking.status !== "confirmed" || booking.attendance) {
+      await answerCallbackQuery(cbId, translate(lang, "rsvp_already"));
+      return;
+    }
+
+    const when = `${formatBookingDate(booking.data?.date, lang)}, ${booking.data?.time}`;
+    booking.attendance = answer === "yes" ? "yes" : "no";
+    booking.attendanceAt = Date.now();
+
+    if (booking.attendance === "yes") {
+      await saveBooking(booking);
+      const address = await getContent("address", lang);
+      await editMessageText(chatId, messageId, translate(lang, "rsvp_yes", { when, address: address.text }));
+      if (address.location) await sendLocation(chatId, address.location);
+      await notifyAdmin(`Гость подтвердил визит ✅\n\n` + formatBookingCard(booking));
+      await answerCallbackQuery(cbId, translate(lang, "rsvp_yes_toast"));
+      return;
+    }
+
+    if (booking.seats?.held) {
+      await releaseSeatsToWaitlist(booking.seats.key, booking.seats.count);
+      booking.seats.held = false;
+    }
+    booking.status = "cancelled_by_user";
+    booking.cancelledAt = Date.now();
+    await saveBooking(booking);
+
+    await editMessageText(chatId, messageId, translate(lang, "rsvp_no", { when }));
+    await notifyAdmin(`Гость не сможет прийти ❌ — заявка отменена, места освобождены.\n\n` + formatBookingCard(booking));
+    await answerCallbackQuery(cbId, translate(lang, "cancelled_toast"));
+  }
+
+  // === FEEDBACK (cron) =====================================================
+  // На следующий день после подтверждённого визита гостю уходит просьба оценить его (fb:<id>:<1-5>),
+  // затем — необязательный комментарий (шаг fb_comment). Оценка хранится в заявке:
+  // booking.feedback = { rating, at, comment, commentAt }; заявки с оценкой — в "idx:feedback".
+  // Идемпотентно, как напоминания: feedbackRequestedAt сохраняется ДО отправки.
+  async function sendFeedbackRequests() {
+    const date = farmDateIso(-1);
+    const bookings = await getIndexedBookings(`idx:date:${date}`);
+    let sent = 0;
+
+    for (const booking of bookings) {
+      if (booking.status !== "confirmed" || !booking.chatId || booking.type === "preorder") continue;
+      await markSubscriberVisit(booking.chatId, date);
+      if (booking.feedbackRequestedAt) continue;
+
+      booking.feedbackRequestedAt = Date.now();
+      await saveBooking(booking);
+
+      const lang = booking.lang || DEFAULT_LANG;
+      await sendMessage(
+        booking.chatId,
+        translate(lang, "feedback_ask", {
+          title: await formatGuestTitle(booking, lang),
+          date: formatBookingDate(booking.data?.date, lang),
+        }),
+        {
+          inline_keyboard: [
+            [1, 2, 3, 4, 5].map((rating) => ({ text: `${rating} ⭐`, callback_data: `fb:${booking.id}:${rating}` })),
+          ],
+        }
+      );
+      sent++;
+    }
+
+    console.log("FEEDBACK", { date, sent });
+  }
+
+  function isLowRating(rating) {
+    return rating <= (Number(env.FEEDBACK_ALERT_RATING) || DEFAULT_FEEDBACK_ALERT_RATING);
+  }
+
+  // Сохраняет оценку (один раз на заявку). Низкая оценка сразу уходит админу.
+  async function saveFeedbackRating(booking, rating) {
+    booking.feedback = { rating, at: Date.now() };
+    await saveBooking(booking);
+    await updateKvRecord("idx:feedback", (rec) => {
+      const ids = rec.ids || [];
+      return ids.includes(booking.id) ? null : { ids: [...ids, booking.id] };
+    });
+    if (isLowRating(rating)) {
+      await notifyAdmin(`⚠️ Низкая оценка визита: ${rating}/5\n\n` + formatBookingCard(booking));
+    }
+  }
+
+  async function saveFeedbackComment(booking, comment) {
+    booking.feedback = { ...booking.feedback, comment, commentAt: Date.now() };
+    await saveBooking(booking);
+    if (isLowRating(booking.feedback.rating)) {
+      await notifyAdmin(
+        `💬 Комментарий к оценке ${booking.feedback.rating}/5 по заявке ${booking.id} (${booking.data?.name || "—"}):\n\n${comment}`,
+        buildAdminMessageKeyboard(booking.id)
+      );
+    }
+  }
+
+  // /ratings: средняя оценка по каждой экскурсии (мероприятию) и последние комментарии
+  async function buildRatingsReport() {
+    const rated = (await getIndexedBookings("idx:feedback")).filter((b) => b.feedback?.rating);
+    if (!rated.length) return "Оценок пока нет.";
+
+    const average = (list) => (list.reduce((sum, b) => sum + b.feedback.rating, 0) / list.length).toFixed(1);
+    const groups = new Map();
+    for (const b of rated) {
+      const key = b.data?.excursion || b.data?.eventId || b.type;
+      if (!groups.has(key)) groups.set(key, { title: formatBookingTitle(b), list: [] });
+      groups.get(key).list.push(b);
+    }
+
+    let text = `Оценки гостей: ${rated.length}, средняя ${average(rated)}\n`;
+    for (const { title, list } of [...groups.values()].sort((a, b) => b.list.length - a.list.length)) {
+      text += `\n${title} — ${average(list)} (оценок: ${list.length})`;
+    }
+
+    const comments = rated
+      .filter((b) => b.feedback.comment)
+      .sort((a, b) => (b.feedback.commentAt || 0) - (a.feedback.commentAt || 0))
+      .slice(0, 10);
+    text += "\n\nПоследние комментарии:";
+    if (!comments.length) return text + " нет.";
+    for (const b of comments) {
+      const comment = b.feedback.comment;
+      const entry =
+        `\n\n${b.feedback.rating}/5 · ${formatDateRu(b.data?.date)} · ${formatBookingTitle(b)} · ${b.data?.name || "—"}\n` +
+        (comment.length > RATINGS_COMMENT_PREVIEW ? comment.slice(0, RATINGS_COMMENT_PREVIEW) + "…" : comment);
+      if (text.length + entry.length > RATINGS_REPORT_LIMIT) break;
+      text += entry;
+    }
+    return text;
+  }
+
+  // === SUBSCRIBERS & BROADCAST =============================================
+  // sub:<chatId> = { chatId, lang, source: "start" | "booking", subscribedAt, lastVisitDate, stoppedAt, blockedAt }
+  // "idx:subscribers" => { ids: [chatId] } — только подписанные. /stop оставляет запись со stoppedAt,
+  // чтобы новая заявка не подписала гостя снова (снова подписывает только /start);
+  // заблокировавшие бота (403) убираются из индекса, запись остаётся с blockedAt (stoppedAt сохраняется).
+  // "idx:past_visitors" => { ids: [chatId] } — чаты с прошедшим визитом (аудитория «прошлые гости»).
+  async function getSubscriber(chatId) {
+    const raw = await env.BOOKINGS.get(`sub:${chatId}`);
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.log("SUBSCRIBER parse error", chatId, String(e));
+      return null;
+    }
+  }
+
+  async function setSubscribedIndex(chatId, subscribed) {
+    await updateKvRecord("idx:subscribers", (rec) => {
+      const ids = rec.ids || [];
+      const has = ids.some((id) => String(id) === String(chatId));
+      if (has === subscribed) return null;
+      return { ids: subscribed ? [...ids, chatId] : ids.filter((id) => String(id) !== String(chatId)) };
+    });
+  }
+
+  // source "start" — явная подписка (снимает /stop); "booking" / "language" — только если гость не отписывался
+  async function addSubscriber(chatId, { lang, source }) {
+    const sub = await getSubscriber(chatId);
+    if (sub?.stoppedAt && source !== "start") return;
+    if (sub && !sub.stoppedAt && !sub.blockedAt && sub.lang === lang) return;
+    const { stoppedAt, blockedAt, ...rest } = sub || {};
+    const next = {
+      ...rest,
+      chatId,
+      lang: lang || DEFAULT_LANG,
+      source: sub?.source || source,
+      subscribedAt: sub?.subscribedAt || Date.now(),
+    };
+    await env.BOOKINGS.put(`sub:${chatId}`, JSON.stringify(next));
+    await setSubscribedIndex(chatId, true);
+  }
+
+  async function stopSubscriber(chatId, lang) {
+    const sub = await getSubscriber(chatId);
+    await env.BOOKINGS.put(
+      `sub:${chatId}`,
+      JSON.stringify({ ...sub, chatId, lang: sub?.lang || lang, stoppedAt: Date.now() })
+    );
+    await setSubscribedIndex(chatId, false);
+  }
+
+  // Только подписанные чаты: админский чат и чаты сотрудников в idx:subscribers не входят
+  async function removeSubscriber(chatId) {
+    const subscribed = await getIndexIds("idx:subscribers");
+    if (!subscribed.some((id) => String(id) === String(chatId))) return;
+    const sub = await getSubscriber(chatId);
+    if (!sub || sub.blockedAt) return;
+    await env.BOOKINGS.put(`sub:${chatId}`, JSON.stringify({ ...sub, blockedAt: Date.now() }));
+    await setSubscribedIndex(chatId, false);
+    console.log("SUBSCRIBER removed (bot blocked)", chatId);
+  }
+
+  // Прошедший визит (отмечается cron отзывов на следующий день) — для фильтра «прошлые гости»
+  async function markSubscriberVisit(chatId, date) {
+    const sub = await getSubscriber(chatId);
+    if (!sub || String(sub.lastVisitDate || "") >= date) return;
+    await env.BOOKINGS.put(`sub:${chatId}`, JSON.stringify({ ...sub, lastVisitDate: date }));
+    await updateKvRecord("idx:past_visitors", (rec) => {
+      const ids = rec.ids || [];
+      return ids.some((id) => String(id) === String(chatId)) ? null : { ids: [...ids, chatId] };
+    });
+  }
+
+  // Аудитория рассылки: { kind: "all" } | { kind: "past" } | { kind: "date", date }.
+  // Всегда только подписанные чаты.
+  async function getBroadcastRecipients(audience) {
+    const subscribed = await getIndexIds("idx:subscribers");
+    if (audience.kind === "all") return subscribed;
+
+    if (audience.kind === "date") {
+      const chats = new Set(
+        (await getIndexedBookings(`idx:date:${audience.date}`))
+          .filter((b) => ["new", "confirmed", "reschedule_requested"].includes(b.status))
+          .map((b) => String(b.chatId))
+      );
+      return subscribed.filter((id) => chats.has(String(id)));
+    }
+
+    const visitors = new Set((await getIndexIds("idx:past_visitors")).map(String));
+    return subscribed.filter((id) => visitors.has(String(id)));
+  }
+
+  function formatAudience(audience) {
+    if (audience.kind === "date") return `гости с заявками на ${formatBookingDate(audience.date)}`;
+    return audience.kind === "past" ? "гости прошлых визитов" : "все подписчики";
+  }
+
+  // Рассылка — задание в очереди: broadcast:<id> = { id, text, audience, queue, total, sent, failed, blocked,
+  // createdBy, reportChatId, createdAt, finishedAt }; активные — в "idx:broadcasts".
+  // Отправляет cron каждую минуту порциями (BROADCAST_BATCH_SIZE); порция снимается с очереди ДО отправки,
+  // поэтому параллельный запуск не пошлёт сообщение дважды.
+  async function createBroadcast({ text, audience, recipients, user, reportChatId }) {
+    const id = crypto.randomUUID().slice(0, 8);
+    await env.BOOKINGS.put(
+      `broadcast:${id}`,
+      JSON.stringify({
+        id,
+        text,
+        audience,
+        queue: recipients,
+        total: recipients.length,
+        sent: 0,
+        failed: 0,
+        blocked: 0,
+        createdBy: user?.id ?? null,
+        reportChatId,
+        createdAt: Date.now(),
+      })
+    );
+    await updateKvRecord("idx:broadcasts", (rec) => ({ ids: [...(rec.ids || []), id] }));
+    return id;
+  }
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  async function processBroadcasts() {
+    for (const id of await getIndexIds("idx:broadcasts")) {
+      await processBroadcast(id);
+    }
+  }
+
+  async function processBroadcast(id) {
+    const key = `broadcast:${id}`;
+    const batchSize = Number(env.BROADCAST_BATCH_SIZE) || DEFAULT_BROADCAST_BATCH_SIZE;
+    let batch = [];
+    const taken = await updateKvRecord(key, (rec) => {
+      if (!rec.queue || rec.finishedAt) return null;
+      batch = rec.queue.slice(0, batchSize);
+      return { ...rec, queue: rec.queue.slice(batchSize) };
+    });
+    if (!taken.ok) return;
+
+    const counts = { sent: 0, failed: 0, blocked: 0 };
+    let retry = [];
+    for (const [i, chatId] of batch.entries()) {
+      if (i > 0) await sleep(BROADCAST_SEND_INTERVAL_MS);
+      const lang = (await getSubscriber(chatId))?.lang || DEFAULT_LANG;
+      const res = await sendMessage(chatId, taken.value.text + translate(lang, "broadcast_footer"));
+      if (res.status === 429) {
+        // Лимит Telegram: остаток порции возвращается в очередь до следующего запуска
+        retry = batch.slice(i);
+        break;
+      }
+      if (res.ok) counts.sent++;
+      else if (res.status === 403) counts.blocked++;
+      else counts.failed++;
+    }
+
+    // Отчёт отправляет тот запуск, который закрыл очередь
+    let finished = false;
+    const done = await updateKvRecord(key, (rec) => {
+      finished = false;
+      const next = {
+        ...rec,
+        queue: [...retry, ...(rec.queue || [])],
+        sent: rec.sent + counts.sent,
+        failed: rec.failed + counts.failed,
+        blocked: rec.blocked + counts.blocked,
+      };
+      if (!next.queue.length && !rec.finishedAt) {
+        next.finishedAt = Date.now();
+        finished = true;
+      }
+      return next;
+    });
+    if (!done.ok || !finished) return;
+    const job = done.value;
+
+    await updateKvRecord("idx:broadcasts", (rec) => ({ ids: (rec.ids || []).filter((x) => x !== id) }));
+    await sendMessage(
+      job.reportChatId || env.ADMIN_CHAT_ID,
+      `Рассылка ${id} завершена (${formatAudience(job.audience)}).\n` +
+        `Отправлено: ${job.sent} из ${job.total}` +
+        (job.blocked ? `\nЗаблокировали бота (удалены из подписчиков): ${job.blocked}` : "") +
+        (job.failed ? `\nНе доставлено: ${job.failed}` : "")
+    );
+  }
+
+  // === ADMIN DIGEST ========================================================
+  // Сводка: подтверждённые экскурсии на сегодня и завтра по времени + зависшие новые заявки.
+  async function buildDigest() {
+    let text = "Сводка по заявкам\n";
+
+    for (const [label, date] of [
+      ["Сегодня", farmDateIso(0)],
+      ["Завтра", farmDateIso(1)],
+    ]) {
+      const confirmed = (await getIndexedBookings(`idx:date:${date}`)).filter((b) => b.status === "confirmed");
+      const bookings = confirmed.filter((b) => b.type !== "preorder");
+      const preorders = confirmed.length - bookings.length;
+      const preorderLine = preorders ? `Предзаказов к выдаче: ${preorders}\n` : "";
+      const totalGuests = bookings.reduce((sum, b) => sum + (Number(b.people) || 0), 0);
+      text += `\n${label}, ${formatBookingDate(date)}: `;
+      if (!bookings.length) {
+        text += "подтверждённых экскурсий нет.\n" + preorderLine;
+        continue;
+      }
+      text += `${bookings.length} заяв., гостей: ${totalGuests}\n`;
+
+      const byTime = new Map();
+      for (const b of bookings) {
+        const time = b.data?.time || "—";
+        if (!byTime.has(time)) byTime.set(time, []);
+        byTime.get(time).push(b);
+      }
+      for (const time of [...byTime.keys()].sort()) {
+        const group = byTime.get(time);
+        const guests = group.reduce((sum, b) => sum + (Number(b.people) || 0), 0);
+        text += `\n${time} — гостей: ${guests}\n`;
+        for (const b of group) {
+          const d = b.data || {};
+          text += `  • ${formatBookingTitle(b)}: ${d.name || "—"}, ${d.people} (${d.contact || "—"})\n`;
+        }
+      }
+      text += preorderLine;
+    }
+
+    const hours = Number(env.PENDING_ALERT_HOURS) || DEFAULT_PENDING_ALERT_HOURS;
+    const threshold = Date.now() - hours * 3600000;
+    const pending = (await getIndexedBookings("idx:status:new"))
+      .filter((b) => b.createdAt < threshold)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    text += `\nБез ответа дольше ${hours} ч: `;
+    if (!pending.length) {
+      text += "нет.";
+      return { text, keyboard: null };
+    }
+    text += `${pending.length}\n`;
+    for (const b of pending.slice(0, 20)) {
+      const d = b.data || {};
+      const waited = Math.floor((Date.now() - b.createdAt) / 3600000);
+      text += `  • ${formatDateRu(d.date)} ${d.time || ""} — ${d.name || "—"}, ${d.people} (ждёт ${waited} ч)\n`;
+    }
+    if (pending.length > 20) text += `  … и ещё ${pending.length - 20}\n`;
+
+    return {
+      text,
+      keyboard: { inline_keyboard: [[{ text: "📋 Необработанные заявки", callback_data: "list:s:new:0" }]] },
+    };
+  }
+
+  async function sendDigest() {
+    const { text, keyboard } = await buildDigest();
+    await notifyAdmin(text, keyboard);
+  }
+
+  // === SCHEDULED (Cron Triggers) ===========================================
+  async function runScheduled(event) {
+    if (event.cron === CRON_REMINDERS) {
+      await sendReminders();
+      return;
+    }
+    if (event.cron === CRON_DIGEST) {
+      await sendDigest();
+      return;
+    }
+    if (event.cron === CRON_QUEUE) {
+      await processAllWaitlists();
+      await processBroadcasts();
+      return;
+    }
+    if (event.cron === CRON_FEEDBACK) {
+      await sendFeedbackRequests();
+      return;
+    }
+    console.log("SCHEDULED: unknown cron", event.cron);
+  }
+
+  // Дедупликация по update_id: ретрай Telegram не должен повторно создать заявку.
+  // Отметка ставится ДО обработки (повторная доставка игнорируется).
+  async function isDuplicateUpdate(update) {
+    if (update?.update_id === undefined || update?.update_id === null) return false;
+    const key = `update:${update.update_id}`;
+    if (await env.STATE.get(key)) return true;
+    await env.STATE.put(key, "1", { expirationTtl: UPDATE_DEDUP_TTL_SEC });
+    return false;
+  }
+
+  // === UPDATE HANDLERS =====================================================
+  // Обработчики и маршруты регистрируются один раз при сборке бота. Всё, что относится к апдейту
+  // (чат, сессия, язык, сообщение), приходит первым аргументом ctx — см. createUpdateContext.
+
+  // --- Language (гостевые тексты — I18N; меняется кнопкой lang:<code>) ---
+  function buildLanguageKeyboard() {
+    return {
+      inline_keyboard: [
+        Object.entries(LANGUAGES).map(([code, label]) => ({ text: label, callback_data: `lang:${code}` })),
+      ],
+    };
+  }
+
+  // --- Keyboards ---
+  // Кнопки reply-клавиатур распознаются по действию (resolveButton), а не по тексту
+  function buildMainKeyboard(ctx) {
+    const { t, lang, origin } = ctx;
+    const rows = [
+      [{ text: t("btn_book") }],
+      // Mini App — только по https (требование Telegram к web_app)
+      ...(origin.startsWith("https://")
+        ? [[{ text: t("btn_webapp"), web_app: { url: `${origin}/app?lang=${lang}` } }]]
+        : []),
+      [{ text: t("btn_events") }, { text: t("btn_my") }],
+      [{ text: t("btn_excursions") }, { text: t("btn_schedule") }],
+      [{ text: t("btn_products") }, { text: t("btn_address") }],
+      [{ text: t("btn_reset") }],
+      [{ text: t("btn_menu") }, { text: t("btn_language") }],
+    ];
+    return { keyboard: rows, resize_keyboard: true };
+  }
+
+  // Flow keyboard используется ТОЛЬКО во время экскурсионного флоу.
+  // Важно: НЕ использовать remove_keyboard, чтобы пользователь
+  // всегда мог нажать "🔄 Сбросить заявку" или "🏡 Главное меню".
+  function buildFlowRow(ctx) {
+    const { t } = ctx;
+    return [{ text: t("btn_reset") }, { text: t("btn_menu") }];
+  }
+
+  function buildFlowKeyboard(ctx) {
+    return {
+      keyboard: [buildFlowRow(ctx)],
+      resize_keyboard: true,
+    };
+  }
+
+  // Step keyboard for ex_people:
+  // - people selection only (no free input)
+  // - keeps reset/menu always available
+  function buildExPeopleKeyboard(ctx) {
+    const { t } = ctx;
+    return {
+      keyboard: [
+        [{ text: "1" }, { text: "2" }, { text: "3" }],
+        [{ text: "4" }, { text: "5" }, { text: "6" }],
+        [{ text: t("btn_group_small") }, { text: t("btn_group_large") }],
+        buildFlowRow(ctx),
+      ],
+      resize_keyboard: true,
+    };
+  }
+
+  // Inline keyboard for ex_type: одна кнопка на экскурсию из каталога
+  function buildExcursionKeyboard(ctx, excursions) {
+    const { lang } = ctx;
+    return {
+      inline_keyboard: excursions.map((e) => [
+        { text: `${localize(e, "title", lang)} — ${formatPrice(e.priceAdult)}`, callback_data: `exc:${e.id}` },
+      ]),
+    };
+  }
+
+  // Текст каталога для шага ex_type: длительность, цены и время
+  async function buildExcursionCatalogText(ctx) {
+    const { t, lang } = ctx;
+    const excursions = await getExcursions();
+    const slotConfig = await getSlotConfig();
+    let text = t("catalog_title");
+    excursions.forEach((e, i) => {
+      const times = (slotConfig[e.id]?.times || []).map((s) => s.time).join(", ");
+      text +=
+        `\n${i + 1}) ${localize(e, "title", lang)} — ${formatDuration(e.durationMin, lang)}\n` +
+        t("catalog_prices", { adult: formatPrice(e.priceAdult), child: formatPrice(e.priceChild) }) +
+        (times ? t("catalog_times", { times }) : "");
+    });
+    return text;
+  }
+
+  // Step keyboard for ex_children: 0..N (N — выбранное число гостей)
+  function buildExChildrenKeyboard(ctx, maxChildren) {
+    const buttons = [];
+    for (let i = 0; i <= maxChildren; i++) buttons.push({ text: String(i) });
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 4) rows.push(buttons.slice(i, i + 4));
+    rows.push(buildFlowRow(ctx));
+    return { keyboard: rows, resize_keyboard: true };
+  }
+
+  // ev_people: до EVENT_MAX_PEOPLE гостей, но не больше свободных мест
+  function buildEvPeopleKeyboard(ctx, maxPeople) {
+    const buttons = [];
+    for (let i = 1; i <= maxPeople; i++) buttons.push({ text: String(i) });
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 5) rows.push(buttons.slice(i, i + 5));
+    rows.push(buildFlowRow(ctx));
+    return { keyboard: rows, resize_keyboard: true };
+  }
+
+  // Inline-календарь для ex_date (ym = "YYYY-MM").
+  // Прошедшие и выходные дни не кликабельны ("×"); полностью занятые — "🕒" (лист ожидания),
+  // при переносе заявки — тоже "×".
+  async function buildCalendarKeyboard(ctx, type, ym) {
+    const { session, t } = ctx;
+    const monthNames = t("months");
+    const noop = (label) => ({ text: label, callback_data: "cal:noop" });
+    const schedule = await getSchedule();
+    const usedByKey = await getMonthSeatsUsed(type, ym);
+    const [y, m] = ym.split("-").map(Number);
+    const minYm = farmDateIso(0).slice(0, 7);
+    const maxYm = farmDateIso(BOOKING_DAYS_AHEAD - 1).slice(0, 7);
+
+    const rows = [
+      [
+        ym > minYm ? { text: "‹", callback_data: `cal:nav:${shiftMonth(ym, -1)}` } : noop(" "),
+        noop(`${monthNames[m - 1]} ${y}`),
+        ym < maxYm ? { text: "›", callback_data: `cal:nav:${shiftMonth(ym, 1)}` } : noop(" "),
+      ],
+      t("calendar_weekdays").map(noop),
+    ];
+
+    const daysInMonth = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    const firstWeekday = (new Date(Date.UTC(y, m - 1, 1)).getUTCDay() + 6) % 7; // Пн = 0
+    let week = Array.from({ length: firstWeekday }, () => noop(" "));
+    for (let day = 1; day <= daysInMonth; day++) {
+      const date = `${ym}-${String(day).padStart(2, "0")}`;
+      const open = await getOpenSlots(type, date, schedule, usedByKey);
+      if (open.some((s) => s.free > 0)) week.push({ text: String(day), callback_data: `cal:day:${date}` });
+      else if (open.length && !session.rescheduleId) week.push({ text: `${day}🕒`, callback_data: `cal:day:${date}` });
+      else week.push(noop("×"));
+      if (week.length === 7) {
+        rows.push(week);
+        week = [];
+      }
+    }
+    if (week.length) {
+      while (week.length < 7) week.push(noop(" "));
+      rows.push(week);
+    }
+    return { inline_keyboard: rows };
+  }
+
+  // Inline-кнопки слотов для ex_time; занятый слот — запись в лист ожидания (wait:<time>)
+  function buildSlotsKeyboard(ctx, slots, date) {
+    const { t } = ctx;
+    const rows = slots.map((slot) => [
+      slot.free > 0
+        ? { text: t("slot_button", { time: slot.time, free: slot.free }), callback_data: `slot:${slot.time}` }
+        : { text: t("slot_waitlist_button", { time: slot.time }), callback_data: `wait:${slot.time}` },
+    ]);
+    rows.push([{ text: t("btn_to_calendar"), callback_data: `cal:nav:${date.slice(0, 7)}` }]);
+    return { inline_keyboard: rows };
+  }
+
+  // --- User inline buttons: excursion + date/time picker (ex_type / ex_date / ex_time) ---
+  async function handleBookingPickerCallback(ctx, callbackQuery) {
+    const { session, t, lang, setState, exPeopleKeyboard } = ctx;
+    const data = callbackQuery.data || "";
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+
+    if (data === "cal:noop") {
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (!["ex_type", "ex_date", "ex_time"].includes(session.step)) {
+      await answerCallbackQuery(cbId, t("session_expired"));
+      return;
+    }
+
+    if (data.startsWith("exc:")) {
+      const excursion = await getExcursion(data.slice("exc:".length));
+      if (!excursion) {
+        await answerCallbackQuery(cbId, t("excursion_not_found"));
+        return;
+      }
+      session.excursion = excursion.id;
+      session.step = "ex_date";
+      await setState(session);
+      await editMessageText(
+        chatId,
+        messageId,
+        t("ask_date", { title: localize(excursion, "title", lang) }),
+        await buildCalendarKeyboard(ctx, excursion.id, farmDateIso(0).slice(0, 7))
+      );
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (!session.excursion) {
+      await answerCallbackQuery(cbId, t("session_expired"));
+      return;
+    }
+    const excursionTitle = localize(await getExcursion(session.excursion), "title", lang) || "";
+
+    if (data.startsWith("cal:nav:")) {
+      const ym = data.slice("cal:nav:".length);
+      if (!/^\d{4}-\d{2}$/.test(ym)) {
+        await answerCallbackQuery(cbId, t("unknown_command"));
+        return;
+      }
+      session.step = "ex_date";
+      await setState(session);
+      await editMessageText(
+        chatId,
+        messageId,
+        t("ask_date", { title: excursionTitle }),
+        await buildCalendarKeyboard(ctx, session.excursion, ym)
+      );
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (data.startsWith("cal:day:")) {
+      const date = data.slice("cal:day:".length);
+      const listSlots = session.rescheduleId ? getFreeSlots : getOpenSlots;
+      const slots = /^\d{4}-\d{2}-\d{2}$/.test(date) ? await listSlots(session.excursion, date) : [];
+      if (!slots.length) {
+        await answerCallbackQuery(cbId, t("date_no_slots"), true);
+        return;
       }
-      if (request.method !== "POST") {
-        return new Response("Method Not Allowed", { status: 405 });
+      session.date = date;
+      session.step = "ex_time";
+      await setState(session);
+      await editMessageText(
+        chatId,
+        messageId,
+        t("ask_time", { title: excursionTitle, date: formatBookingDate(date, lang) }),
+        buildSlotsKeyboard(ctx, slots, date)
+      );
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (data.startsWith("slot:")) {
+      const time = data.slice("slot:".length);
+      const slots = session.step === "ex_time" ? await getFreeSlots(session.excursion, session.date) : [];
+      if (!slots.some((slot) => slot.time === time)) {
+        await answerCallbackQuery(cbId, t("time_taken"), true);
+        return;
       }
-      let update;
-      try {
-        update = await request.json();
-      } catch (e) {
-        console.log("JSON error", String(e));
-        return new Response("OK", { status: 200 });
+      if (session.rescheduleId) {
+        await requestReschedule(ctx, callbackQuery, time);
+        return;
       }
-      // --- Update helpers (message + callback_query) ---
-      function getChatId(u) {
-        return u?.message?.chat?.id ?? u?.callback_query?.message?.chat?.id ?? null;
+
+      session.time = time;
+      session.waitlist = false;
+      session.step = "ex_people";
+      await setState(session);
+      await editMessageText(
+        chatId,
+        messageId,
+        t("slot_chosen", { title: excursionTitle, date: formatBookingDate(session.date, lang), time })
+      );
+      await sendMessage(chatId, t("ask_people"), exPeopleKeyboard);
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    // Занятый слот: дальше тот же диалог, на ex_contact — запись в лист ожидания
+    if (data.startsWith("wait:")) {
+      const time = data.slice("wait:".length);
+      const slots =
+        session.step === "ex_time" && !session.rescheduleId ? await getOpenSlots(session.excursion, session.date) : [];
+      if (!slots.some((slot) => slot.time === time)) {
+        await answerCallbackQuery(cbId, t("session_expired"), true);
+        return;
       }
-    function getFromId(u) {
-      return u?.message?.from?.id ?? u?.callback_query?.from?.id ?? null;
+      session.time = time;
+      session.waitlist = true;
+      session.step = "ex_people";
+      await setState(session);
+      await editMessageText(
+        chatId,
+        messageId,
+        t("waitlist_slot_chosen", { title: excursionTitle, date: formatBookingDate(session.date, lang), time })
+      );
+      await sendMessage(chatId, t("ask_people"), exPeopleKeyboard);
+      await answerCallbackQuery(cbId, "");
+      return;
     }
 
-    function isAdminUserId(userId) {
-      if (!env.ADMIN_USER_ID) return false;
-      return String(userId) === String(env.ADMIN_USER_ID);
+    await answerCallbackQuery(cbId, t("unknown_command"));
+  }
+
+  // --- My bookings (guest self-service) ---
+  // Гость видит предстоящие заявки своего чата (idx:chat), может отменить или запросить перенос.
+  // Прошедшие визиты не показываются и не меняются: по ним уже собраны сводка, отзывы и оценки.
+  const MY_ACTIVE_STATUSES = ["new", "confirmed", "reschedule_requested"];
+
+  async function buildMyBookingsMessage(ctx, chatId) {
+    const { t, lang } = ctx;
+    const all = await getIndexedBookings(`idx:chat:${chatId}`);
+    const today = farmDateIso(0);
+    const bookings = all
+      .filter((b) => String(b.data?.date) >= today)
+      .sort((a, b) => String(a.data?.date).localeCompare(String(b.data?.date)))
+      .slice(0, 10);
+
+    if (!bookings.length) {
+      return { text: t("my_empty"), keyboard: null };
     }
 
-    const incomingChatId = getChatId(update);
-    const incomingFromId = getFromId(update);
+    let text = t("my_title");
+    const rows = [];
+    for (const [i, b] of bookings.entries()) {
+      const d = b.data || {};
+      text +=
+        `\n${i + 1}. ${await formatGuestTitle(b, lang)} — ${formatBookingDate(d.date, lang)}, ${d.time}\n` +
+        (d.items
+          ? t("label_total", { total: formatPrice(d.total || 0) })
+          : t("label_guests", { people: d.people }).trim()) +
+        t("my_status", { status: formatStatus(b.status, lang) });
+      if (b.status === "reschedule_requested" && b.reschedule) {
+        text += t("my_reschedule", { when: `${formatBookingDate(b.reschedule.date, lang)}, ${b.reschedule.time}` });
+      }
+      if (!MY_ACTIVE_STATUSES.includes(b.status)) continue;
+      const row = [{ text: t("btn_my_cancel", { n: i + 1 }), callback_data: `my:cancel:${b.id}` }];
+      if (b.status !== "reschedule_requested" && d.excursion) {
+        row.push({ text: t("btn_my_move", { n: i + 1 }), callback_data: `my:move:${b.id}` });
+      }
+      rows.push(row);
+    }
+    return { text, keyboard: rows.length ? { inline_keyboard: rows } : null };
+  }
 
-    console.log("INCOMING", {
-      hasMessage: Boolean(update?.message),
-      hasCallback: Boolean(update?.callback_query),
-      chatId: incomingChatId,
-      fromId: incomingFromId,
-    });
+  // my:cancel:<id> — подтверждение отмены, my:cancel_yes:<id> — отмена,
+  // my:move:<id> — перенос (календарь), my:list — вернуться к списку
+  async function handleMyBookingsCallback(ctx, callbackQuery) {
+    const { t, lang, setState } = ctx;
+    const data = callbackQuery.data || "";
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const [, action, bookingId] = data.split(":");
+
+    if (action === "list") {
+      const { text, keyboard } = await buildMyBookingsMessage(ctx, chatId);
+      await editMessageText(chatId, messageId, text, keyboard);
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    const booking = await getBooking(bookingId);
+    if (!booking || String(booking.chatId) !== String(chatId)) {
+      await answerCallbackQuery(cbId, t("not_found"));
+      return;
+    }
+    if (!MY_ACTIVE_STATUSES.includes(booking.status)) {
+      await answerCallbackQuery(cbId, t("already_status", { status: formatStatus(booking.status, lang) }), true);
+      return;
+    }
+    if (String(booking.data?.date) < farmDateIso(0)) {
+      await answerCallbackQuery(cbId, t("my_past"), true);
+      return;
+    }
 
-    const TELEGRAM = `https://api.telegram.org/bot${env.BOT_TOKEN}`;
+    const when = `${formatBookingDate(booking.data?.date, lang)}, ${booking.data?.time}`;
 
-    // --- Telegram helpers ---
-    async function callTelegram(method, payload) {
-      const res = await fetch(`${TELEGRAM}/${method}`, {
-        method: "POST",
-        headers: { "content-type": "application/json" },
-        body: JSON.stringify(payload),
+    if (action === "cancel") {
+      await editMessageText(chatId, messageId, t("my_cancel_ask", { when }), {
+        inline_keyboard: [
+          [
+            { text: t("btn_yes_cancel"), callback_data: `my:cancel_yes:${booking.id}` },
+            { text: t("btn_no"), callback_data: "my:list" },
+          ],
+        ],
       });
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (action === "cancel_yes") {
+      await releaseBookingHolds(booking);
+      if (booking.reschedule?.held && booking.seats) {
+        await releaseSeatsToWaitlist(
+          buildSlotKey(booking.data.excursion, booking.reschedule.date, booking.reschedule.time),
+          booking.seats.count
+        );
+      }
+      delete booking.reschedule;
+      delete booking.previousStatus;
+      booking.status = "cancelled_by_user";
+      booking.cancelledAt = Date.now();
+      await saveBooking(booking);
+
+      await editMessageText(chatId, messageId, t("my_cancelled", { when }));
+      await notifyAdmin(`Гость отменил заявку.\n\n` + formatBookingCard(booking));
+      await answerCallbackQuery(cbId, t("cancelled_toast"));
+      return;
+    }
+
+    if (action === "move") {
+      if (booking.status === "reschedule_requested" || !booking.data?.excursion) {
+        await answerCallbackQuery(cbId, t("move_unavailable"), true);
+        return;
+      }
+      await setState({ step: "ex_date", excursion: booking.data.excursion, rescheduleId: booking.id });
+      await editMessageText(
+        chatId,
+        messageId,
+        t("move_ask_date", { when }),
+        await buildCalendarKeyboard(ctx, booking.data.excursion, farmDateIso(0).slice(0, 7))
+      );
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    await answerCallbackQuery(cbId, t("unknown_command"));
+  }
+
+  // Гость выбрал новый слот для переноса: удерживаем места и отправляем запрос админу
+  async function requestReschedule(ctx, callbackQuery, time) {
+    const { session, t, lang, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+
+    const booking = await getBooking(session.rescheduleId);
+    const past = String(booking?.data?.date) < farmDateIso(0);
+    if (!booking || !["new", "confirmed"].includes(booking.status) || past) {
+      await clearState();
+      await answerCallbackQuery(cbId, t("reschedule_too_late"), true);
+      return;
+    }
 
-      const body = await res.text().catch(() => "");
+    const slotConfig = (await getSlotConfig())[booking.data.excursion]?.times?.find((s) => s.time === time);
+    const reschedule = {
+      date: session.date,
+      time,
+      capacity: slotConfig?.capacity || 0,
+      held: false,
+      requestedAt: Date.now(),
+    };
+    if (booking.seats && !booking.seats.manual) {
+      const key = buildSlotKey(booking.data.excursion, reschedule.date, time);
+      const res = await reserveSeats(key, booking.seats.count, reschedule.capacity);
       if (!res.ok) {
-        console.log("TG_ERROR", method, res.status, body, payload);
+        await answerCallbackQuery(cbId, t("reschedule_no_seats", { count: booking.seats.count }), true);
+        return;
       }
-      return { ok: res.ok, status: res.status, body };
+      reschedule.held = true;
     }
 
-    async function sendMessage(chatId, text, keyboard = null) {
-      const payload = { chat_id: chatId, text };
-      if (keyboard) payload.reply_markup = keyboard;
-      await callTelegram("sendMessage", payload);
+    booking.previousStatus = booking.status;
+    booking.status = "reschedule_requested";
+    booking.reschedule = reschedule;
+    await saveBooking(booking);
+    await clearState();
+
+    await editMessageText(
+      chatId,
+      messageId,
+      t("reschedule_sent", { when: `${formatBookingDate(reschedule.date, lang)}, ${time}` })
+    );
+    await notifyAdmin(
+      "Гость просит перенести заявку:\n\n" +
+        formatBookingCard(booking) +
+        "\n\n✅ — подтвердить перенос, ❌ — оставить прежние дату и время.",
+      buildAdminBookingKeyboard(booking.id)
+    );
+    await answerCallbackQuery(cbId, t("reschedule_sent_toast"));
+  }
+
+  // --- Причина отклонения и переписка по заявке (applyRejectReason — общий с веб-панелью) ---
+  // reason:<id>:<code> — выбор причины после ❌ Отклонить
+  async function handleRejectReasonCallback(ctx, callbackQuery) {
+    const { session, setState, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const [, bookingId, code] = (callbackQuery.data || "").split(":");
+
+    const booking = await getBooking(bookingId);
+    if (!booking) {
+      await answerCallbackQuery(cbId, "Заявка не найдена.");
+      return;
+    }
+    if (booking.status !== "cancelled" || booking.rejectReason) {
+      await answerCallbackQuery(cbId, "Причина уже отправлена гостю.");
+      return;
     }
 
-    async function editMessageText(chatId, messageId, text, keyboard = null) {
-      const payload = { chat_id: chatId, message_id: messageId, text };
-      if (keyboard) payload.reply_markup = keyboard;
-      await callTelegram("editMessageText", payload);
+    if (code === "custom") {
+      await setState({
+        step: "admin_reason",
+        bookingId,
+        adminId: callbackQuery.from?.id,
+        cardChatId: chatId,
+        cardMessageId: messageId,
+      });
+      await sendMessage(chatId, `Напишите причину отклонения заявки ${bookingId} одним сообщением.`, {
+        inline_keyboard: [[{ text: "Без причины", callback_data: `reason:${bookingId}:none` }]],
+      });
+      await answerCallbackQuery(cbId, "");
+      return;
     }
 
-    async function answerCallbackQuery(callbackQueryId, text, showAlert = false) {
-      const payload = { callback_query_id: callbackQueryId, text, show_alert: showAlert };
-      await callTelegram("answerCallbackQuery", payload);
+    // «Без причины» из подсказки к своей причине — правим исходную карточку, а не подсказку
+    const fromPrompt = session.step === "admin_reason" && session.bookingId === bookingId;
+    const cardChatId = fromPrompt ? session.cardChatId : chatId;
+    const cardMessageId = fromPrompt ? session.cardMessageId : messageId;
+    if (fromPrompt) {
+      await clearState();
     }
 
-    // --- KV helpers for bookings ---
-    async function getBooking(bookingId) {
-      const raw = await env.BOOKINGS.get(`booking:${bookingId}`);
-      if (!raw) return null;
-      try {
-        return JSON.parse(raw);
-      } catch (e) {
-        console.log("BOOKINGS parse error", String(e));
-        return null;
+    await applyRejectReason(booking, code, REJECT_REASONS[code] || null, callbackQuery.from, cardChatId, cardMessageId);
+    await answerCallbackQuery(cbId, "Гость уведомлён.");
+  }
+
+  // msg:<id> — следующее сообщение сотрудника уйдёт гостю; msg:stop — передумал
+  async function handleStaffMessageCallback(ctx, callbackQuery) {
+    const { session, setState, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const bookingId = (callbackQuery.data || "").slice("msg:".length);
+
+    if (bookingId === "stop") {
+      if (session.step === "admin_message") {
+        await clearState();
       }
+      await editMessageText(chatId, messageId, "Сообщение гостю отменено.");
+      await answerCallbackQuery(cbId, "");
+      return;
     }
 
-    async function saveBooking(booking) {
-      if (!booking?.id) return;
-      await env.BOOKINGS.put(`booking:${booking.id}`, JSON.stringify(booking));
+    const booking = await getBooking(bookingId);
+    if (!booking || !booking.chatId) {
+      await answerCallbackQuery(cbId, "Заявка не найдена.");
+      return;
     }
 
-    // Booking ID without underscores (prevents Markdown/entity issues even if parse_mode is used elsewhere)
-    function generateBookingId(data) {
-      const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-      const eventPart = data?.data?.date || "na";
-      const ts = Date.now();
-      return `bk-${eventPart}-${today}-${ts}`;
+    await setState({ step: "admin_message", bookingId, adminId: callbackQuery.from?.id });
+    await sendMessage(
+      chatId,
+      `Напишите сообщение для ${booking.data?.name || "гостя"} (заявка ${booking.id}). ` +
+        "Следующее ваше сообщение будет переслано гостю.",
+      { inline_keyboard: [[{ text: "Отмена", callback_data: "msg:stop" }]] }
+    );
+    await answerCallbackQuery(cbId, "");
+  }
+
+  // reply:<id> — гость отвечает на сообщение фермы; reply:stop — передумал
+  async function handleGuestReplyCallback(ctx, callbackQuery) {
+    const { session, t, setState, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const bookingId = (callbackQuery.data || "").slice("reply:".length);
+
+    if (bookingId === "stop") {
+      if (session.step === "guest_reply") {
+        await clearState();
+      }
+      await editMessageText(chatId, messageId, t("reply_cancelled"));
+      await answerCallbackQuery(cbId, "");
+      return;
     }
 
-    async function createBooking(data) {
-      const id = generateBookingId(data);
-      const booking = {
-        id,
-        type: data.type || "unknown",
-        chatId: data.chatId,
-        status: "new",
-        createdAt: Date.now(),
-        people: data.people || 0,
-        data: data.data || {},
-      };
-      await saveBooking(booking);
-      return booking;
+    const booking = await getBooking(bookingId);
+    if (!booking || String(booking.chatId) !== String(chatId)) {
+      await answerCallbackQuery(cbId, t("not_found"));
+      return;
+    }
+
+    await setState({ step: "guest_reply", bookingId });
+    await sendMessage(chatId, t("reply_ask"), {
+      inline_keyboard: [[{ text: t("btn_cancel"), callback_data: "reply:stop" }]],
+    });
+    await answerCallbackQuery(cbId, "");
+  }
+
+  // fb:<id>:<1-5> — оценка визита; fb:<id>:skip — без комментария
+  async function handleFeedbackCallback(ctx, callbackQuery) {
+    const { session, t, lang, setState, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const [, bookingId, value] = (callbackQuery.data || "").split(":");
+
+    const booking = await getBooking(bookingId);
+    if (!booking || String(booking.chatId) !== String(chatId) || !booking.feedbackRequestedAt) {
+      await answerCallbackQuery(cbId, t("not_found"));
+      return;
+    }
+    const guestLang = booking.lang || lang;
+
+    if (value === "skip") {
+      if (session.step === "fb_comment") await clearState();
+      await editMessageText(chatId, messageId, translate(guestLang, "feedback_thanks"));
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    const rating = Number(value);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      await answerCallbackQuery(cbId, t("unknown_command"));
+      return;
+    }
+    if (booking.feedback?.rating) {
+      await answerCallbackQuery(cbId, translate(guestLang, "feedback_already"));
+      return;
+    }
+
+    await saveFeedbackRating(booking, rating);
+    // Гость посреди записи или предзаказа: комментарий не спрашиваем, чтобы не затереть его черновик
+    if (Object.keys(session).length) {
+      await editMessageText(chatId, messageId, translate(guestLang, "feedback_thanks"));
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+    await setState({ step: "fb_comment", bookingId });
+    await editMessageText(chatId, messageId, translate(guestLang, "feedback_comment_ask", { rating }), {
+      inline_keyboard: [[{ text: translate(guestLang, "btn_feedback_skip"), callback_data: `fb:${bookingId}:skip` }]],
+    });
+    await answerCallbackQuery(cbId, "");
+  }
+
+  // --- Магазин: каталог, корзина в сессии (session.cart = { id: qty }) и предзаказ (shop_*) ---
+  // itemsLang — язык названий: в заявку (для сотрудников) позиции пишутся по-русски
+  function buildCartItems(cart, products, itemsLang = DEFAULT_LANG) {
+    return Object.entries(cart || {})
+      .map(([id, qty]) => {
+        const p = products.find((x) => x.id === id);
+        return p
+          ? { id, title: localize(p, "title", itemsLang), unit: localize(p, "unit", itemsLang), price: p.price, qty }
+          : null;
+      })
+      .filter(Boolean);
+  }
+
+  async function buildShopCatalogMessage(ctx, cart) {
+    const { t, lang } = ctx;
+    const products = await getProducts();
+    const inCart = Object.values(cart || {}).reduce((sum, qty) => sum + qty, 0);
+    let text = `${(await getContent("products", lang)).text}\n`;
+    const buttons = [];
+    for (const p of products) {
+      const title = localize(p, "title", lang);
+      text += `\n• ${title} — ${formatPrice(p.price)} / ${localize(p, "unit", lang)}`;
+      text += p.stock > 0 ? t("stock_available", { stock: p.stock }) : t("stock_none");
+      if (p.stock > 0) buttons.push({ text: `➕ ${title}`, callback_data: `shop:add:${p.id}` });
     }
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+    rows.push([{ text: t("btn_cart", { count: inCart }), callback_data: "shop:cart" }]);
+    return { text, keyboard: { inline_keyboard: rows } };
+  }
 
-    // === ADMIN FLOW ==========================================================
-    // Admin inline keyboard for booking approval / rejection
-    function buildAdminBookingKeyboard(bookingId) {
+  async function buildShopCartMessage(ctx, cart) {
+    const { t, lang } = ctx;
+    const items = buildCartItems(cart, await getProducts(), lang);
+    if (!items.length) {
       return {
+        text: t("cart_empty"),
+        keyboard: { inline_keyboard: [[{ text: t("btn_to_catalog"), callback_data: "shop:list" }]] },
+      };
+    }
+    const total = items.reduce((sum, i) => sum + i.price * i.qty, 0);
+    const rows = items.map((i) => [
+      { text: `➖ ${i.title}`, callback_data: `shop:dec:${i.id}` },
+      { text: "➕", callback_data: `shop:inc:${i.id}` },
+    ]);
+    rows.push([
+      { text: t("btn_to_catalog"), callback_data: "shop:list" },
+      { text: t("btn_cart_clear"), callback_data: "shop:clear" },
+    ]);
+    rows.push([{ text: t("btn_checkout"), callback_data: "shop:checkout" }]);
+    return {
+      text: t("cart_title", { items: formatOrderItems(items), total: formatPrice(total) }),
+      keyboard: { inline_keyboard: rows },
+    };
+  }
+
+  // Даты выдачи: ближайшие PREORDER_DAYS_AHEAD открытых дней; сегодня — если магазин ещё работает час
+  async function getPickupDates() {
+    const schedule = await getSchedule();
+    const dates = [];
+    for (let i = 0; i < PREORDER_DAYS_AHEAD; i++) {
+      const date = farmDateIso(i);
+      if (!isDateOpen(schedule, date)) continue;
+      if (i === 0 && getPickupTimes(date).length === 0) continue;
+      dates.push(date);
+    }
+    return dates;
+  }
+
+  // Время выдачи — каждый час в часы работы магазина (на сегодня — ещё не наступившее)
+  function getPickupTimes(date) {
+    const times = [];
+    const nowHm = farmTimeHm();
+    for (let time = SHOP_HOURS.openFrom; time < SHOP_HOURS.openTo; time = addMinutesHm(time, 60)) {
+      if (date === farmDateIso(0) && time <= nowHm) continue;
+      times.push(time);
+    }
+    return times;
+  }
+
+  // shop:add|inc|dec:<id>, shop:list, shop:cart, shop:clear, shop:checkout, shop:date:<ISO>, shop:time:<HH:MM>
+  async function handleShopCallback(ctx, callbackQuery) {
+    const { session, t, lang, setState, flowKeyboard } = ctx;
+    const data = callbackQuery.data || "";
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const [, action] = data.split(":");
+    const arg = data.split(":").slice(2).join(":");
+    const cart = { ...(session.cart || {}) };
+
+    if (action === "add" || action === "inc" || action === "dec") {
+      const product = (await getProducts()).find((p) => p.id === arg);
+      if (!product) {
+        await answerCallbackQuery(cbId, t("product_not_found"));
+        return;
+      }
+      const qty = (cart[arg] || 0) + (action === "dec" ? -1 : 1);
+      if (qty > product.stock) {
+        await answerCallbackQuery(
+          cbId,
+          t("stock_only", { stock: product.stock, unit: localize(product, "unit", lang) }),
+          true
+        );
+        return;
+      }
+      if (qty > 0) cart[arg] = qty;
+      else delete cart[arg];
+      await setState({ step: "shop", cart });
+
+      const view = action === "add" ? await buildShopCatalogMessage(ctx, cart) : await buildShopCartMessage(ctx, cart);
+      await editMessageText(chatId, messageId, view.text, view.keyboard);
+      await answerCallbackQuery(
+        cbId,
+        action === "add" ? t("cart_added", { title: localize(product, "title", lang), qty }) : ""
+      );
+      return;
+    }
+
+    if (action === "list" || action === "cart" || action === "clear") {
+      const nextCart = action === "clear" ? {} : cart;
+      await setState({ step: "shop", cart: nextCart });
+      const view =
+        action === "cart" ? await buildShopCartMessage(ctx, nextCart) : await buildShopCatalogMessage(ctx, nextCart);
+      await editMessageText(chatId, messageId, view.text, view.keyboard);
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (!Object.keys(cart).length) {
+      await answerCallbackQuery(cbId, t("cart_empty_hint", { button: t("btn_products") }), true);
+      return;
+    }
+
+    if (action === "checkout") {
+      const dates = await getPickupDates();
+      await setState({ step: "shop_date", cart });
+      const rows = [];
+      for (let i = 0; i < dates.length; i += 3) {
+        rows.push(
+          dates.slice(i, i + 3).map((d) => ({ text: formatBookingDate(d, lang), callback_data: `shop:date:${d}` }))
+        );
+      }
+      rows.push([{ text: t("btn_back_to_cart"), callback_data: "shop:cart" }]);
+      await editMessageText(chatId, messageId, t("pickup_ask_date"), { inline_keyboard: rows });
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (action === "date") {
+      if (session.step !== "shop_date" || !(await getPickupDates()).includes(arg)) {
+        await answerCallbackQuery(cbId, t("pickup_date_unavailable"), true);
+        return;
+      }
+      await setState({ step: "shop_time", cart, date: arg });
+      const times = getPickupTimes(arg);
+      const rows = [];
+      for (let i = 0; i < times.length; i += 3) {
+        rows.push(times.slice(i, i + 3).map((time) => ({ text: time, callback_data: `shop:time:${time}` })));
+      }
+      rows.push([{ text: t("btn_other_date"), callback_data: "shop:checkout" }]);
+      await editMessageText(chatId, messageId, t("pickup_ask_time", { date: formatBookingDate(arg, lang) }), {
+        inline_keyboard: rows,
+      });
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (action === "time") {
+      if (session.step !== "shop_time" || !getPickupTimes(session.date).includes(arg)) {
+        await answerCallbackQuery(cbId, t("pickup_time_unavailable"), true);
+        return;
+      }
+      await setState({ step: "shop_contact", cart, date: session.date, time: arg });
+      await editMessageText(
+        chatId,
+        messageId,
+        t("pickup_chosen", { date: formatBookingDate(session.date, lang), time: arg })
+      );
+      await sendMessage(chatId, t("ask_contact"), flowKeyboard);
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    await answerCallbackQuery(cbId, "");
+  }
+
+  // --- Редактирование информационных блоков (шаг adm_content, кнопки content:*) ---
+  async function sendContentPreview(chatId, block, draft) {
+    await sendMessage(chatId, "Предпросмотр — так блок увидят гости:");
+    await sendContent(chatId, draft);
+    const rows = [[{ text: "✅ Опубликовать", callback_data: "content:save" }]];
+    const extra = [];
+    if (draft.photo) extra.push({ text: "🗑 Убрать фото", callback_data: "content:nophoto" });
+    if (draft.location) extra.push({ text: "🗑 Убрать геоточку", callback_data: "content:noloc" });
+    if (extra.length) rows.push(extra);
+    rows.push([{ text: "Отмена", callback_data: "content:cancel" }]);
+    await sendMessage(chatId, `Блок ${block}. Пришлите ещё текст, фото или геоточку — или опубликуйте.`, {
+      inline_keyboard: rows,
+    });
+  }
+
+  async function handleContentCallback(ctx, callbackQuery) {
+    const { session, setState, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const action = (callbackQuery.data || "").slice("content:".length);
+
+    if (session.step !== "adm_content" || !session.draft) {
+      await answerCallbackQuery(cbId, "Черновик не найден. Начните заново: /content_edit <блок> [язык]");
+      return;
+    }
+
+    if (action === "cancel") {
+      await clearState();
+      await editMessageText(chatId, messageId, "Изменение отменено, блок не изменился.");
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    if (action === "nophoto" || action === "noloc") {
+      const draft = { ...session.draft, [action === "nophoto" ? "photo" : "location"]: null };
+      await setState({ ...session, draft });
+      await editMessageText(chatId, messageId, action === "nophoto" ? "Фото убрано." : "Геоточка убрана.");
+      await sendContentPreview(chatId, session.block, draft);
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    // Текст пишется в поле своего языка, переводы на другие языки сохраняются
+    const { block, draft } = session;
+    const contentLang = session.contentLang || DEFAULT_LANG;
+    const record = (await readContentRecord(block)) || {};
+    const texts = { ...(record.texts || {}) };
+    if (contentLang !== DEFAULT_LANG) texts[contentLang] = draft.text;
+    await env.BOOKINGS.put(
+      `content:${block}`,
+      JSON.stringify({
+        text: contentLang === DEFAULT_LANG ? draft.text : record.text || null,
+        texts,
+        photo: draft.photo || null,
+        location: draft.location || null,
+        updatedAt: Date.now(),
+        updatedBy: callbackQuery.from?.id ?? null,
+      })
+    );
+    await clearState();
+    await editMessageText(
+      chatId,
+      messageId,
+      `Блок «${translate(DEFAULT_LANG, `btn_${block}`)}» (${LANGUAGES[contentLang]}) опубликован.`
+    );
+    await answerCallbackQuery(cbId, "Опубликовано.");
+  }
+
+  // --- Мероприятия: список для гостя, запись (ev_*) и мастер создания (adm_ev_*) ---
+  async function buildEventsMessage(ctx) {
+    const { t, lang } = ctx;
+    const events = await getUpcomingEvents();
+    if (!events.length) {
+      return { text: t("events_empty"), keyboard: null };
+    }
+    let text = t("events_title");
+    const rows = [];
+    for (const ev of events) {
+      text +=
+        `\n🎉 ${ev.title}\n${formatBookingDate(ev.date, lang)}, ${ev.time}\n` +
+        t("event_price", { price: ev.price ? t("price_per_person", { price: formatPrice(ev.price) }) : t("free") }) +
+        t("event_free_seats", { free: ev.free }) +
+        (ev.description ? `${ev.description}\n` : "");
+      if (ev.free > 0) rows.push([{ text: t("btn_event_book", { title: ev.title }), callback_data: `ev:${ev.id}` }]);
+    }
+    return { text, keyboard: rows.length ? { inline_keyboard: rows } : null };
+  }
+
+  // Мероприятие доступно для записи: активно, не прошло и есть места
+  async function getBookableEvent(eventId) {
+    const event = await getEvent(eventId);
+    if (!event || event.status !== "active" || event.date < farmDateIso(0)) return null;
+    const { used } = await readSeats(buildEventSeatsKey(event.id));
+    return { ...event, used, free: Math.max(0, event.capacity - used) };
+  }
+
+  // ev:<id> — начать запись на мероприятие
+  async function handleEventCallback(ctx, callbackQuery) {
+    const { t, lang, setState, flowKeyboard } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const event = await getBookableEvent((callbackQuery.data || "").slice("ev:".length));
+    if (!event) {
+      await answerCallbackQuery(cbId, t("event_closed"), true);
+      return;
+    }
+    if (event.free <= 0) {
+      await answerCallbackQuery(cbId, t("event_full"), true);
+      return;
+    }
+
+    await setState({ step: "ev_name", eventId: event.id });
+    await sendMessage(
+      chatId,
+      t("event_ask_name", { title: event.title, date: formatBookingDate(event.date, lang), time: event.time }),
+      flowKeyboard
+    );
+    await answerCallbackQuery(cbId, "");
+  }
+
+  function formatEventDraft(draft) {
+    return (
+      `Мероприятие: ${draft.title}\n` +
+      `Дата: ${formatBookingDate(draft.date)}, ${draft.time}\n` +
+      `Цена: ${draft.price ? formatPrice(draft.price) : "бесплатно"}\n` +
+      `Мест: ${draft.capacity}\n` +
+      (draft.description ? `\n${draft.description}\n` : "")
+    );
+  }
+
+  // evadm:save / evadm:cancel — публикация мероприятия из мастера /event_add
+  async function handleEventAdminCallback(ctx, callbackQuery) {
+    const { session, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const action = (callbackQuery.data || "").slice("evadm:".length);
+
+    if (session.step !== "adm_ev_confirm" || !session.draft) {
+      await answerCallbackQuery(cbId, "Черновик не найден. Начните заново: /event_add");
+      return;
+    }
+
+    if (action === "cancel") {
+      await clearState();
+      await editMessageText(chatId, messageId, "Создание мероприятия отменено.");
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
+
+    const event = {
+      id: generateEventId(),
+      ...session.draft,
+      status: "active",
+      createdAt: Date.now(),
+      createdBy: callbackQuery.from?.id ?? null,
+    };
+    await saveEvent(event);
+    await clearState();
+    await editMessageText(
+      chatId,
+      messageId,
+      `Мероприятие опубликовано (ID: ${event.id}).\n\n` + formatEventDraft(event)
+    );
+    await answerCallbackQuery(cbId, "Опубликовано.");
+  }
+
+  // Предпросмотр рассылки: текст так, как его увидит гость, и число получателей
+  async function sendBroadcastPreview(chatId, draft) {
+    const recipients = await getBroadcastRecipients(draft.audience);
+    await sendMessage(chatId, draft.text + translate(DEFAULT_LANG, "broadcast_footer"));
+    await sendMessage(
+      chatId,
+      `Предпросмотр выше. Аудитория: ${formatAudience(draft.audience)}, получателей: ${recipients.length}.`,
+      {
         inline_keyboard: [
           [
-            { text: "✅ Подтвердить", callback_data: `confirm:${bookingId}` },
-            { text: "❌ Отклонить", callback_data: `cancel:${bookingId}` },
+            { text: "📣 Отправить", callback_data: "bcadm:send" },
+            { text: "Отмена", callback_data: "bcadm:cancel" },
           ],
         ],
-      };
+      }
+    );
+  }
+
+  // bcadm:<all|past|date> — аудитория, bcadm:send / bcadm:cancel — из мастера /broadcast
+  async function handleBroadcastAdminCallback(ctx, callbackQuery) {
+    const { session, setState, clearState } = ctx;
+    const cbId = callbackQuery.id;
+    const chatId = callbackQuery.message?.chat?.id;
+    const messageId = callbackQuery.message?.message_id;
+    const action = (callbackQuery.data || "").slice("bcadm:".length);
+
+    if (!session.step?.startsWith("adm_bc_") || String(session.adminId) !== String(callbackQuery.from?.id)) {
+      await answerCallbackQuery(cbId, "Черновик не найден. Начните заново: /broadcast");
+      return;
     }
 
-    // Callback handlers (admin actions)
-    async function handleAdminBookingAction(callbackQuery) {
-      const data = callbackQuery.data || "";
-      const cbId = callbackQuery.id;
-      const msg = callbackQuery.message;
-      const chatId = msg?.chat?.id;
-      const messageId = msg?.message_id;
+    if (action === "cancel") {
+      await clearState();
+      await editMessageText(chatId, messageId, "Рассылка отменена.");
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
 
-      const parts = data.split(":");
-      const action = parts[0];
-      const bookingId = parts[1];
+    if (session.step === "adm_bc_audience" && ["all", "past", "date"].includes(action)) {
+      if (action === "date") {
+        await setState({ ...session, step: "adm_bc_date" });
+        await editMessageText(chatId, messageId, "Дата заявок (today | tomorrow | YYYY-MM-DD | ДД.ММ.ГГГГ)?");
+      } else {
+        await setState({ ...session, step: "adm_bc_text", draft: { audience: { kind: action } } });
+        await editMessageText(
+          chatId,
+          messageId,
+          `Аудитория: ${formatAudience({ kind: action })}.\n\nТекст рассылки одним сообщением?`
+        );
+      }
+      await answerCallbackQuery(cbId, "");
+      return;
+    }
 
-      const booking = await getBooking(bookingId);
-      if (!booking) {
-        await answerCallbackQuery(cbId, "Заявка не найдена.");
+    if (session.step === "adm_bc_confirm" && action === "send") {
+      const draft = session.draft;
+      const recipients = await getBroadcastRecipients(draft.audience);
+      await clearState();
+      if (!recipients.length) {
+        await editMessageText(chatId, messageId, "Получателей нет — рассылка не создана.");
+        await answerCallbackQuery(cbId, "");
+        return;
+      }
+      const id = await createBroadcast({
+        text: draft.text,
+        audience: draft.audience,
+        recipients,
+        user: callbackQuery.from,
+        reportChatId: chatId,
+      });
+      await editMessageText(
+        chatId,
+        messageId,
+        `Рассылка ${id} поставлена в очередь: получателей ${recipients.length} (${formatAudience(draft.audience)}).\n` +
+          "Отправка начнётся в течение минуты, по окончании придёт отчёт."
+      );
+      await answerCallbackQuery(cbId, "Рассылка запущена.");
+      return;
+    }
+
+    await answerCallbackQuery(cbId, "Неизвестная команда.");
+  }
+
+  // lang:<code> — выбор языка: сохраняем и показываем главное меню на новом языке
+  async function handleLanguageCallback(ctx, callbackQuery) {
+    const { t, clearState } = ctx;
+    const code = callbackQuery.data.slice("lang:".length);
+    if (!LANGUAGES[code]) {
+      await answerCallbackQuery(callbackQuery.id, t("unknown_command"));
+      return;
+    }
+    await setUserLang(callbackQuery.from?.id, code);
+    ctx.lang = code;
+    await addSubscriber(callbackQuery.message?.chat?.id, { lang: code, source: "language" });
+    await clearState();
+    await editMessageText(callbackQuery.message?.chat?.id, callbackQuery.message?.message_id, t("lang_set"));
+    await sendMessage(callbackQuery.message?.chat?.id, t("welcome"), buildMainKeyboard(ctx));
+    await answerCallbackQuery(callbackQuery.id, "");
+  }
+
+  // Кнопки сотрудников: без нужного права отвечаем всплывающим отказом
+  function guarded(check, deniedText, handler) {
+    return async (ctx, callbackQuery) => {
+      if (!(await check(callbackQuery))) {
+        await answerCallbackQuery(callbackQuery.id, deniedText, true);
+        return;
+      }
+      await handler(ctx, callbackQuery);
+    };
+  }
+
+  const byPermission = (permission) => (callbackQuery) => hasPermission(callbackQuery.from?.id, permission);
+
+  // Предзаказы магазина может обрабатывать и роль с правом preorders (canDecide)
+  async function byBooking(callbackQuery) {
+    const data = callbackQuery.data;
+    const target = /^\w+:bk-/.test(data) ? await getBooking(data.split(":")[1]) : null;
+    return canDecide(callbackQuery.from?.id, target);
+  }
+
+  // Кнопки самого гостя: выбор экскурсии, календарь, слоты, заявки, магазин — права не нужны.
+  // Обработчик получает (ctx, callbackQuery).
+  const guestCallbacks = createRouter()
+    .on(["exc:*", "cal:*", "slot:*", "wait:*"], handleBookingPickerCallback)
+    .on("my:*", handleMyBookingsCallback)
+    .on("rsvp:*", (ctx, callbackQuery) => handleRsvpCallback(callbackQuery, ctx.lang))
+    .on("wl:*", (ctx, callbackQuery) => handleWaitlistCallback(callbackQuery, ctx.lang))
+    .on("fb:*", handleFeedbackCallback)
+    .on("lang:*", handleLanguageCallback)
+    .on("reply:*", handleGuestReplyCallback)
+    .on("shop:*", handleShopCallback)
+    .on("ev:*", handleEventCallback);
+
+  // Кнопки сотрудников (после проверки права view)
+  const decideDenied = formatPermissionDenied("подтверждать и отклонять заявки", "decide");
+  const messageDenied = formatPermissionDenied("писать гостям по заявке", "decide");
+  const staffCallbacks = createRouter()
+    .on(
+      ["confirm:*", "cancel:*"],
+      guarded(byBooking, decideDenied, (ctx, callbackQuery) => handleAdminBookingAction(callbackQuery))
+    )
+    .on("reason:*", guarded(byBooking, messageDenied, handleRejectReasonCallback))
+    .on("msg:stop", handleStaffMessageCallback)
+    .on("msg:*", guarded(byBooking, messageDenied, handleStaffMessageCallback))
+    .on(
+      "content:*",
+      guarded(byPermission("content"), formatPermissionDenied("менять тексты меню", "content"), handleContentCallback)
+    )
+    .on(
+      "evadm:*",
+      guarded(
+        byPermission("events"),
+        formatPermissionDenied("управлять мероприятиями", "events"),
+        handleEventAdminCallback
+      )
+    )
+    .on(
+      "bcadm:*",
+      guarded(
+        byPermission("broadcast"),
+        formatPermissionDenied("отправлять рассылку", "broadcast"),
+        handleBroadcastAdminCallback
+      )
+    )
+    .on(["list:*", "open:*"], (ctx, callbackQuery) => handleAdminListCallback(callbackQuery));
+
+  // --- Сообщения: кнопки меню и команды ---
+  // Кнопки reply-клавиатуры — по действию (resolveButton), команды — по имени без @бота ("/start").
+  // Start / main menu (also exits any flow); /start и 🌐 — ещё и выбор языка
+  async function showMainMenu(ctx) {
+    const { chatId, fromId, text, button, lang, t, clearState, mainKeyboard } = ctx;
+    await clearState();
+    // Язык по language_code фиксируется при первом /start, дальше меняется только кнопками lang:*
+    if (text.startsWith("/start") && fromId !== null) {
+      await setUserLang(fromId, lang);
+    }
+    // Подписка на новости — только личные чаты (в общем чате сотрудников /start не подписывает)
+    if (text.startsWith("/start") && String(chatId) === String(fromId)) {
+      await addSubscriber(chatId, { lang, source: "start" });
+    }
+    if (button !== "language") {
+      await sendMessage(chatId, t("welcome"), mainKeyboard);
+    }
+    if (button !== "menu") {
+      await sendMessage(chatId, t("lang_choose"), buildLanguageKeyboard());
+    }
+  }
+
+  // --- Global actions (must work in any state) ---
+  const globalButtons = createRouter()
+    // Глобальный сброс заявки. Должен срабатывать В ЛЮБОМ состоянии, включая ex_* шаги.
+    .on("reset", async ({ chatId, t, clearState, mainKeyboard }) => {
+      await clearState();
+      await sendMessage(chatId, t("reset_done"), mainKeyboard);
+    })
+    .on(["menu", "language"], showMainMenu);
+
+  // Команды гостя и мастера сотрудников; обработчик получает (ctx, args), args — текст после команды.
+  // Без нужного права обработчик возвращает false — команду разбирает handleAdminCommand.
+  const commands = createRouter()
+    .on("/start", showMainMenu)
+    // /stop — отписка от новостей фермы; уведомления по заявкам приходят как прежде
+    .on("/stop", async ({ chatId, lang, t, clearState, mainKeyboard }) => {
+      await clearState();
+      await stopSubscriber(chatId, lang);
+      await sendMessage(chatId, t("stop_done"), mainKeyboard);
+    })
+    // /broadcast — рассылка подписчикам: аудитория → текст → предпросмотр (шаги adm_bc_* в сессии этого чата)
+    .on("/broadcast", async ({ chatId, message, setState }) => {
+      if (!(await hasPermission(message.from?.id, "broadcast"))) return false;
+      const subscribers = (await getIndexIds("idx:subscribers")).length;
+      await setState({ step: "adm_bc_audience", adminId: message.from.id, draft: {} });
+      await sendMessage(chatId, `Новая рассылка (подписчиков: ${subscribers}).\n\nКому отправить?`, {
+        inline_keyboard: [
+          [{ text: "Всем подписчикам", callback_data: "bcadm:all" }],
+          [{ text: "Гостям прошлых визитов", callback_data: "bcadm:past" }],
+          [{ text: "Гостям с заявками на дату…", callback_data: "bcadm:date" }],
+          [{ text: "Отмена", callback_data: "bcadm:cancel" }],
+        ],
+      });
+    })
+    // /event_add — мастер создания мероприятия (шаги adm_ev_* в сессии этого чата)
+    .on("/event_add", async ({ chatId, message, setState }) => {
+      if (!(await hasPermission(message.from?.id, "events"))) return false;
+      await setState({ step: "adm_ev_title", adminId: message.from.id, draft: {} });
+      await sendMessage(chatId, "Новое мероприятие.\n\nНазвание?");
+    })
+    // /content_edit <блок> [язык] — новый текст / фото / геоточка с предпросмотром (шаг adm_content).
+    // Текст меняется только для выбранного языка, фото и геоточка — общие.
+    .on("/content_edit", async ({ chatId, message, setState }, args) => {
+      const [block, contentLang = DEFAULT_LANG] = args.toLowerCase().split(/\s+/);
+      if (!block || !(await hasPermission(message.from?.id, "content"))) return false;
+      if (!DEFAULT_CONTENT[block] || !LANGUAGES[contentLang]) {
+        await sendMessage(
+          chatId,
+          `Блок: ${Object.keys(DEFAULT_CONTENT).join(", ")}; язык: ${Object.keys(LANGUAGES).join(", ")}`
+        );
+        return;
+      }
+      const { text: blockText, photo, location } = await getContent(block, contentLang);
+      await setState({
+        step: "adm_content",
+        block,
+        contentLang,
+        adminId: message.from.id,
+        draft: { text: blockText, photo, location },
+      });
+      await sendMessage(
+        chatId,
+        `Изменение блока «${translate(DEFAULT_LANG, `btn_${block}`)}» (${LANGUAGES[contentLang]}).\n\n` +
+          "Пришлите новый текст, фото (подпись станет текстом) или геоточку (📎 → Геопозиция). " +
+          "После каждого сообщения покажу, как блок увидят гости."
+      );
+    })
+    // Staff commands (/bookings, /pending, /booking ...) — только для сотрудников (STAFF_ROLES)
+    .on("/*", async ({ chatId, text, message, origin }) => {
+      if (!(await getStaffRole(message.from?.id))) return false;
+      return handleAdminCommand(chatId, text, message.from, { origin });
+    });
+
+  // Шаги сессии (src/router.js). Сначала — шаги, которые перехватывают ввод раньше кнопок меню:
+  // ответы сотрудников и гостей, мастера /content_edit, /broadcast, /event_add.
+  // Шаги сотрудника в общем чате принимают сообщение только от того, кто начал действие.
+  const fromSessionAdmin = (handler) => (ctx) =>
+    String(ctx.message.from?.id) === String(ctx.session.adminId) ? handler(ctx) : false;
+
+  const interruptSteps = createRouter()
+    // Причина отклонения / сообщение гостю: в общем чате ждём текст только от того, кто нажал кнопку
+    .on(
+      ["admin_reason", "admin_message"],
+      fromSessionAdmin(async (ctx) => {
+        const { chatId, text, message, session, clearState } = ctx;
+        if (!text || text.startsWith("/")) {
+          await sendMessage(chatId, "Отправьте текст одним сообщением.");
+          return;
+        }
+
+        const booking = await getBooking(session.bookingId);
+        if (!booking) {
+          await clearState();
+          await sendMessage(chatId, "Заявка не найдена.");
+          return;
+        }
+
+        if (session.step === "admin_reason") {
+          const { cardChatId, cardMessageId } = session;
+          await clearState();
+          if (booking.status !== "cancelled" || booking.rejectReason) {
+            await sendMessage(chatId, "Причина уже отправлена гостю.");
+            return;
+          }
+          await applyRejectReason(booking, "custom", text, message.from, cardChatId, cardMessageId);
+          await sendMessage(chatId, "Причина отправлена гостю.");
+          return;
+        }
+
+        await clearState();
+        const guestLang = booking.lang || DEFAULT_LANG;
+        const res = await sendMessage(
+          booking.chatId,
+          translate(guestLang, "staff_message", { id: booking.id, text }),
+          { inline_keyboard: [[{ text: translate(guestLang, "btn_reply"), callback_data: `reply:${booking.id}` }]] }
+        );
+        if (!res.ok) {
+          await sendMessage(chatId, "Не удалось доставить сообщение гостю (возможно, бот заблокирован).");
+          return;
+        }
+        recordMessage(booking, "staff", text, message.from);
+        await saveBooking(booking);
+        await sendMessage(chatId, "Сообщение отправлено гостю.");
+      })
+    )
+    .on("guest_reply", async (ctx) => {
+      const { chatId, text, message, session, t, clearState, mainKeyboard } = ctx;
+      if (!text) {
+        await sendMessage(chatId, t("reply_need_text"));
         return;
       }
 
-      if (action === "confirm") {
-        if (booking.status === "confirmed") {
-          await answerCallbackQuery(cbId, "Заявка уже подтверждена.");
+      const booking = await getBooking(session.bookingId);
+      await clearState();
+      if (!booking || String(booking.chatId) !== String(chatId)) {
+        await sendMessage(chatId, t("not_found"), mainKeyboard);
+        return;
+      }
+
+      recordMessage(booking, "guest", text, message.from);
+      await saveBooking(booking);
+      await notifyAdmin(
+        `💬 Ответ гостя по заявке ${booking.id} (${booking.data?.name || "—"}):\n\n${text}`,
+        buildAdminMessageKeyboard(booking.id)
+      );
+      await sendMessage(chatId, t("reply_sent"), mainKeyboard);
+    })
+    // Кнопки меню во время шага отзыва работают как обычно — комментарий необязателен
+    .on("fb_comment", async (ctx) => {
+      const { chatId, text, button, session, t, clearState, mainKeyboard } = ctx;
+      if (button) return false;
+      if (!text) {
+        await sendMessage(chatId, t("feedback_need_text"));
+        return;
+      }
+
+      const booking = await getBooking(session.bookingId);
+      await clearState();
+      if (!booking?.feedback || String(booking.chatId) !== String(chatId)) {
+        await sendMessage(chatId, t("not_found"), mainKeyboard);
+        return;
+      }
+
+      await saveFeedbackComment(booking, text.trim().slice(0, 3500));
+      await sendMessage(chatId, t("feedback_thanks"), mainKeyboard);
+    })
+    .on(
+      "adm_content",
+      fromSessionAdmin(async (ctx) => {
+        const { chatId, text, message, session, setState } = ctx;
+        const draft = { ...session.draft };
+        if (message.photo?.length) {
+          draft.photo = message.photo[message.photo.length - 1].file_id;
+          if (message.caption) draft.text = message.caption;
+        } else if (message.location) {
+          draft.location = { latitude: message.location.latitude, longitude: message.location.longitude };
+        } else if (text.trim() && !text.startsWith("/")) {
+          draft.text = text;
+        } else {
+          await sendMessage(chatId, "Пришлите текст, фото или геоточку.");
+          return;
+        }
+
+        await setState({ ...session, draft });
+        await sendContentPreview(chatId, session.block, draft);
+      })
+    )
+    .on(
+      "adm_bc_*",
+      fromSessionAdmin(async (ctx) => {
+        const { chatId, text, session, setState } = ctx;
+        const value = text.trim();
+
+        if (session.step === "adm_bc_date") {
+          const date = parseDateArg(value);
+          const validDate = date && !isNaN(Date.parse(date)) && new Date(date).toISOString().slice(0, 10) === date;
+          if (!value || !validDate) {
+            await sendMessage(chatId, "Формат даты: today | tomorrow | YYYY-MM-DD | ДД.ММ.ГГГГ");
+            return;
+          }
+          const audience = { kind: "date", date };
+          await setState({ ...session, step: "adm_bc_text", draft: { audience } });
+          await sendMessage(chatId, `Аудитория: ${formatAudience(audience)}.\n\nТекст рассылки одним сообщением?`);
           return;
         }
 
-        booking.status = "confirmed";
-        await saveBooking(booking);
+        if (session.step === "adm_bc_text") {
+          if (!value || value.startsWith("/")) {
+            await sendMessage(chatId, "Отправьте текст рассылки одним сообщением.");
+            return;
+          }
+          const draft = { ...session.draft, text: value.slice(0, 3500) };
+          await setState({ ...session, step: "adm_bc_confirm", draft });
+          await sendBroadcastPreview(chatId, draft);
+          return;
+        }
 
-        let adminText = `Заявка ${booking.id} подтверждена.\n\n`;
-        if (booking.data) {
-          if (booking.data.date) adminText += `Дата: ${booking.data.date}\n`;
-          if (booking.data.time) adminText += `Время: ${booking.data.time}\n`;
-          if (booking.data.name) adminText += `Имя: ${booking.data.name}\n`;
-          if (booking.data.people) adminText += `Гостей: ${booking.data.people}\n`;
-          if (booking.data.contact) adminText += `Контакт: ${booking.data.contact}\n`;
+        await sendMessage(chatId, "Отправьте рассылку или отмените её кнопками выше.");
+      })
+    )
+    .on(
+      "adm_ev_*",
+      fromSessionAdmin(async (ctx) => {
+        const { chatId, text, session, setState } = ctx;
+        const value = text.trim();
+        const draft = session.draft || {};
+
+        if (session.step === "adm_ev_title") {
+          if (!value) {
+            await sendMessage(chatId, "Название?");
+            return;
+          }
+          draft.title = value.slice(0, 100);
+          await setState({ ...session, step: "adm_ev_date", draft });
+          await sendMessage(chatId, "Дата и время начала (ДД.ММ.ГГГГ ЧЧ:ММ)?");
+          return;
         }
-        adminText += `\nСтатус: ✅ подтверждена`;
 
-        if (chatId && messageId) {
-          await editMessageText(chatId, messageId, adminText);
+        if (session.step === "adm_ev_date") {
+          const m = value.match(/^(\S+)\s+(\d{1,2}):(\d{2})$/);
+          const date = m ? parseDateArg(m[1]) : null;
+          const validDate = date && !isNaN(Date.parse(date)) && new Date(date).toISOString().slice(0, 10) === date;
+          if (!validDate || Number(m[2]) > 23 || Number(m[3]) > 59 || date < farmDateIso(0)) {
+            await sendMessage(chatId, "Укажите будущую дату и время, например: 25.12.2026 18:00");
+            return;
+          }
+          draft.date = date;
+          draft.time = `${m[2].padStart(2, "0")}:${m[3]}`;
+          await setState({ ...session, step: "adm_ev_price", draft });
+          await sendMessage(chatId, "Цена билета в рублях (0 — бесплатно)?");
+          return;
         }
 
-        if (booking.chatId) {
-          const userText = `Ваша заявка ${booking.id} подтверждена.`;
-          await sendMessage(booking.chatId, userText);
+        if (session.step === "adm_ev_price") {
+          if (!/^\d+$/.test(value)) {
+            await sendMessage(chatId, "Цена — целое число рублей, например: 1500");
+            return;
+          }
+          draft.price = Number(value);
+          await setState({ ...session, step: "adm_ev_capacity", draft });
+          await sendMessage(chatId, "Сколько мест?");
+          return;
         }
 
-        await answerCallbackQuery(cbId, "Заявка подтверждена.");
-        return;
-      }
+        if (session.step === "adm_ev_capacity") {
+          if (!/^\d+$/.test(value) || Number(value) < 1) {
+            await sendMessage(chatId, "Количество мест — целое число больше нуля.");
+            return;
+          }
+          draft.capacity = Number(value);
+          await setState({ ...session, step: "adm_ev_description", draft });
+          await sendMessage(chatId, "Описание для гостей (или «-», если без описания)?");
+          return;
+        }
 
-      if (action === "cancel") {
-        if (booking.status === "cancelled") {
-          await answerCallbackQuery(cbId, "Заявка уже отклонена.");
+        if (session.step === "adm_ev_description") {
+          draft.description = value === "-" ? "" : value.slice(0, 1000);
+          await setState({ ...session, step: "adm_ev_confirm", draft });
+          await sendMessage(chatId, "Проверьте мероприятие:\n\n" + formatEventDraft(draft), {
+            inline_keyboard: [
+              [
+                { text: "✅ Опубликовать", callback_data: "evadm:save" },
+                { text: "Отмена", callback_data: "evadm:cancel" },
+              ],
+            ],
+          });
           return;
         }
 
-        booking.status = "cancelled";
-        await saveBooking(booking);
+        await sendMessage(chatId, "Опубликуйте мероприятие или отмените его кнопками выше.");
+      })
+    );
 
-        let adminText = `Заявка ${booking.id} отклонена.\n\n`;
-        if (booking.data) {
-          if (booking.data.date) adminText += `Дата: ${booking.data.date}\n`;
-          if (booking.data.time) adminText += `Время: ${booking.data.time}\n`;
-          if (booking.data.name) adminText += `Имя: ${booking.data.name}\n`;
-          if (booking.data.people) adminText += `Гостей: ${booking.data.people}\n`;
-          if (booking.data.contact) adminText += `Контакт: ${booking.data.contact}\n`;
-        }
-        adminText += `\nСтатус: ❌ отклонена`;
+  // Кнопки главного меню (после шагов, которые перехватывают ввод)
+  const menuButtons = createRouter()
+    .on("events", async (ctx) => {
+      const { chatId, clearState, mainKeyboard } = ctx;
+      await clearState();
+      const { text: eventsText, keyboard } = await buildEventsMessage(ctx);
+      await sendMessage(chatId, eventsText, keyboard || mainKeyboard);
+    })
+    .on("my", async (ctx) => {
+      const { chatId, clearState, mainKeyboard } = ctx;
+      await clearState();
+      const { text: listText, keyboard } = await buildMyBookingsMessage(ctx, chatId);
+      await sendMessage(chatId, listText, keyboard || mainKeyboard);
+    })
+    // Info blocks (тексты — из KV "content:<block>", см. DEFAULT_CONTENT)
+    .on(["excursions", "schedule", "address"], async ({ chatId, button, lang, mainKeyboard }) => {
+      await sendContent(chatId, await getContent(button, lang), mainKeyboard);
+    })
+    // Каталог магазина; корзина сохраняется, пока жива сессия
+    .on("products", async (ctx) => {
+      const { chatId, session, lang, setState } = ctx;
+      const cart = session.cart || {};
+      await setState({ step: "shop", cart });
+      const content = await getContent("products", lang);
+      if (content.photo) await sendPhoto(chatId, content.photo);
+      const { text: catalogText, keyboard } = await buildShopCatalogMessage(ctx, cart);
+      await sendMessage(chatId, catalogText, keyboard);
+      if (content.location) await sendLocation(chatId, content.location);
+    })
+    // --- Excursion booking flow (with per-slot capacity control) ---
+    // Вход в экскурсионный сценарий.
+    // ВАЖНО: сразу показываем flow keyboard, чтобы кнопки были доступны с первого шага.
+    .on("book", async ({ chatId, t, setState, flowKeyboard }) => {
+      await setState({ step: "ex_name" });
+      await sendMessage(chatId, t("book_ask_name"), flowKeyboard);
+    });
 
-        if (chatId && messageId) {
-          await editMessageText(chatId, messageId, adminText);
-        }
+  // Каждый шаг экскурсионного флоу ОБЯЗАН использовать flowKeyboard.
+  // Это гарантирует, что пользователь не застрянет в сценарии.
+  // ex_type / ex_date / ex_time: inline-кнопки каталога, календарь и слоты
+  // (см. handleBookingPickerCallback). Предлагаются только открытые дни и слоты со свободными местами.
+  const flowSteps = createRouter()
+    .on("ex_name", async (ctx) => {
+      const { chatId, text, session, setState } = ctx;
+      session.name = text;
+      session.step = "ex_type";
+      await setState(session);
+      await sendMessage(
+        chatId,
+        await buildExcursionCatalogText(ctx),
+        buildExcursionKeyboard(ctx, await getExcursions())
+      );
+    })
+    // Свободный ввод на шагах выбора экскурсии/даты/времени не принимается — повторяем кнопки
+    .on("ex_type", async (ctx) => {
+      const { chatId, t } = ctx;
+      await sendMessage(chatId, t("pick_excursion"), buildExcursionKeyboard(ctx, await getExcursions()));
+    })
+    .on("ex_date", async (ctx) => {
+      const { chatId, session, t } = ctx;
+      await sendMessage(
+        chatId,
+        t("pick_date"),
+        await buildCalendarKeyboard(ctx, session.excursion, farmDateIso(0).slice(0, 7))
+      );
+    })
+    .on("ex_time", async (ctx) => {
+      const { chatId, session, t, lang } = ctx;
+      const listSlots = session.rescheduleId ? getFreeSlots : getOpenSlots;
+      const slots = await listSlots(session.excursion, session.date);
+      await sendMessage(
+        chatId,
+        t("pick_time", { date: formatBookingDate(session.date, lang) }),
+        buildSlotsKeyboard(ctx, slots, session.date)
+      );
+    })
+    .on("ex_people", async (ctx) => {
+      const { chatId, text, button, session, t, setState, flowKeyboard, exPeopleKeyboard } = ctx;
+      // Only accept button values (группы — кнопки group_small / group_large на любом языке)
+      const allowed = new Set(["1", "2", "3", "4", "5", "6"]);
+      if (!allowed.has(text) && button !== "group_small" && button !== "group_large") {
+        await sendMessage(chatId, t("pick_people"), exPeopleKeyboard);
+        return;
+      }
+
+      // Keep stored value compatible with existing parseInt behavior downstream
+      // - "6–10" => "6-10"
+      // - "более 11" / "more than 11" / "üle 11" => "11+"
+      session.people = button === "group_small" ? "6-10" : button === "group_large" ? "11+" : text;
 
-        if (booking.chatId) {
+      // Большие группы (6-10 / 11+) подтверждаются админом вручную,
+      // для остальных сразу проверяем свободные места в слоте.
+      // Лист ожидания: группе он не нужен, а если места уже есть — обычная заявка.
+      const isGroup = session.people === "6-10" || session.people === "11+";
+      if (isGroup) session.waitlist = false;
+      if (!isGroup) {
+        const slots = await getSlotAvailability(session.excursion, session.date);
+        const slot = slots.find((s) => s.time === session.time);
+        const free = slot ? slot.free : 0;
+        if (session.waitlist && Number(session.people) <= free) session.waitlist = false;
+        if (!session.waitlist && Number(session.people) > free) {
           await sendMessage(
-            booking.chatId,
-            `Ваша заявка ${booking.id} отклонена. Если это ошибка — свяжитесь с нами.`
+            chatId,
+            t("slot_left", { time: session.time, free }),
+            exPeopleKeyboard
           );
+          return;
         }
+      }
 
-        await answerCallbackQuery(cbId, "Заявка отклонена.");
+      // Для большой группы состав и сумма уточняются админом
+      if (isGroup) {
+        session.children = 0;
+        session.step = "ex_contact";
+        await setState(session);
+        await sendMessage(chatId, t("ask_contact"), flowKeyboard);
         return;
       }
 
-      await answerCallbackQuery(cbId, "Неизвестное действие.");
-    }
+      session.step = "ex_children";
+      await setState(session);
+      await sendMessage(chatId, t("ask_children"), buildExChildrenKeyboard(ctx, Number(session.people)));
+    })
+    .on("ex_children", async (ctx) => {
+      const { chatId, text, session, t, setState, flowKeyboard } = ctx;
+      const maxChildren = Number(session.people) || 0;
+      const children = /^\d+$/.test(text) ? Number(text) : -1;
+      if (children < 0 || children > maxChildren) {
+        await sendMessage(chatId, t("pick_children"), buildExChildrenKeyboard(ctx, maxChildren));
+        return;
+      }
 
-    // --- Handle callback_query first (ADMIN FLOW) ---
-    if (update.callback_query) {
-      const callbackQuery = update.callback_query;
-      const fromId = callbackQuery?.from?.id;
+      session.children = children;
+      session.step = "ex_contact";
+      await setState(session);
+      await sendMessage(chatId, t("ask_contact"), flowKeyboard);
+    })
+    .on("ex_contact", async (ctx) => {
+      const { chatId, text, session, t, lang, clearState, mainKeyboard, flowKeyboard } = ctx;
+      const contact = (text || "").trim();
 
-      if (!isAdminUserId(fromId)) {
-        await answerCallbackQuery(callbackQuery.id, "Недостаточно прав.");
-        return new Response("OK");
+      // Validate contact: phone or @telegram
+      if (!isValidContact(contact)) {
+        // stay on ex_contact, do not change step
+        await sendMessage(chatId, t("invalid_contact"), flowKeyboard);
+        await sendMessage(chatId, t("ask_contact"), flowKeyboard);
+        return;
       }
 
-      const data = callbackQuery.data || "";
+      if (session.waitlist) {
+        const position = await joinWaitlist(session.excursion, session.date, session.time, {
+          chatId,
+          lang,
+          name: session.name,
+          people: Number(session.people),
+          children: session.children || 0,
+          contact,
+        });
+        const joinedText = t("waitlist_joined", {
+          title: localize(await getExcursion(session.excursion), "title", lang) || session.excursion,
+          date: formatBookingDate(session.date, lang),
+          time: session.time,
+          people: session.people,
+          position,
+        });
+        await clearState();
+        await sendMessage(chatId, joinedText, mainKeyboard);
+        return;
+      }
 
-      if (data.startsWith("confirm:") || data.startsWith("cancel:")) {
-        await handleAdminBookingAction(callbackQuery);
-        return new Response("OK");
+      const booking = await submitExcursionBooking({
+        chatId,
+        lang,
+        name: session.name,
+        excursion: session.excursion,
+        date: session.date,
+        time: session.time,
+        people: session.people,
+        children: session.children || 0,
+        contact,
+      });
+      await clearState();
+      if (!booking) {
+        await sendMessage(chatId, t("booking_sold_out"), mainKeyboard);
+        return;
+      }
+      await sendMessage(chatId, await formatExcursionSentText(booking, lang), mainKeyboard);
+    })
+    // === EVENT FLOW: ev_name → ev_people → ev_contact ===
+    .on("ev_name", async (ctx) => {
+      const { chatId, text, session, t, setState, clearState, mainKeyboard, flowKeyboard } = ctx;
+      if (!text.trim()) {
+        await sendMessage(chatId, t("ask_name"), flowKeyboard);
+        return;
+      }
+      const event = await getBookableEvent(session.eventId);
+      if (!event || event.free <= 0) {
+        await clearState();
+        await sendMessage(chatId, t("event_closed_flow"), mainKeyboard);
+        return;
+      }
+      session.name = text.trim();
+      session.step = "ev_people";
+      await setState(session);
+      await sendMessage(
+        chatId,
+        t("event_ask_people", { free: event.free }),
+        buildEvPeopleKeyboard(ctx, Math.min(event.free, EVENT_MAX_PEOPLE))
+      );
+    })
+    .on("ev_people", async (ctx) => {
+      const { chatId, text, session, t, setState, clearState, mainKeyboard, flowKeyboard } = ctx;
+      const event = await getBookableEvent(session.eventId);
+      if (!event || event.free <= 0) {
+        await clearState();
+        await sendMessage(chatId, t("event_sold_out"), mainKeyboard);
+        return;
+      }
+      const maxPeople = Math.min(event.free, EVENT_MAX_PEOPLE);
+      const people = /^\d+$/.test(text) ? Number(text) : 0;
+      if (people < 1 || people > maxPeople) {
+        await sendMessage(
+          chatId,
+          t("event_pick_people", { free: event.free }),
+          buildEvPeopleKeyboard(ctx, maxPeople)
+        );
+        return;
+      }
+      session.people = people;
+      session.step = "ev_contact";
+      await setState(session);
+      await sendMessage(chatId, t("ask_contact"), flowKeyboard);
+    })
+    .on("shop_contact", async (ctx) => {
+      const { chatId, text, message, session, t, lang, setState, clearState, mainKeyboard, flowKeyboard } = ctx;
+      const contact = (text || "").trim();
+      if (!isValidContact(contact)) {
+        await sendMessage(chatId, t("invalid_contact"), flowKeyboard);
+        return;
       }
 
-      await answerCallbackQuery(callbackQuery.id, "Неизвестная команда.");
-      return new Response("OK");
-    }
-    // === /ADMIN FLOW =========================================================
+      // Остатки проверяем при оформлении, а списываем при подтверждении админом
+      const products = await getProducts();
+      const items = buildCartItems(session.cart, products);
+      const short = items.filter((i) => i.qty > (products.find((p) => p.id === i.id)?.stock || 0));
+      if (!items.length || short.length) {
+        await setState({ step: "shop", cart: session.cart || {} });
+        const shortTitles = short.map((i) => localize(products.find((p) => p.id === i.id), "title", lang)).join(", ");
+        await sendMessage(
+          chatId,
+          short.length ? t("shop_short", { items: shortTitles, button: t("btn_products") }) : t("cart_empty"),
+          mainKeyboard
+        );
+        return;
+      }
 
-    // === USER FLOW ===========================================================
-    // --- Handle normal messages (ignore non-message updates like web_app_data only) ---
-    const message = update.message;
-    if (!message) {
-      return new Response("OK");
-    }
+      const total = items.reduce((sum, i) => sum + i.price * i.qty, 0);
+      const guestItems = buildCartItems(session.cart, products, lang);
+      const booking = await createBooking({
+        type: "preorder",
+        chatId,
+        lang,
+        people: 0,
+        data: {
+          name: message.from?.first_name || "",
+          date: session.date,
+          time: session.time,
+          startsAt: farmStartsAt(session.date, session.time),
+          items,
+          total,
+          contact,
+        },
+      });
+      await clearState();
+
+      await notifyAdmin(
+        "Новый предзаказ из магазина:\n\n" + `ID: ${booking.id}\n` + formatBookingDetails(booking),
+        buildAdminBookingKeyboard(booking.id)
+      );
+      await sendMessage(
+        chatId,
+        t("preorder_sent", {
+          items: formatOrderItems(guestItems),
+          total: formatPrice(total),
+          date: formatBookingDate(booking.data.date, lang),
+          time: booking.data.time,
+        }),
+        mainKeyboard
+      );
+    })
+    .on("ev_contact", async (ctx) => {
+      const { chatId, text, session, t, lang, clearState, mainKeyboard, flowKeyboard } = ctx;
+      const contact = (text || "").trim();
+      if (!isValidContact(contact)) {
+        await sendMessage(chatId, t("invalid_contact"), flowKeyboard);
+        return;
+      }
+
+      const event = await getBookableEvent(session.eventId);
+      const booking = event
+        ? await createBooking({
+            type: "event",
+            chatId,
+            lang,
+            people: session.people,
+            data: {
+              eventId: event.id,
+              eventTitle: event.title,
+              name: session.name,
+              date: event.date,
+              time: event.time,
+              startsAt: farmStartsAt(event.date, event.time),
+              people: session.people,
+              total: event.price * session.people,
+              contact,
+            },
+            seats: {
+              key: buildEventSeatsKey(event.id),
+              count: session.people,
+              capacity: event.capacity,
+              manual: false,
+            },
+          })
+        : null;
+
+      await clearState();
+      if (!booking) {
+        await sendMessage(chatId, t("event_sold_out_flow"), mainKeyboard);
+        return;
+      }
+
+      const { used } = await readSeats(booking.seats.key);
+      await notifyAdmin(
+        "Новая заявка на мероприятие:\n\n" +
+          `ID: ${booking.id}\n` +
+          formatBookingDetails(booking) +
+          `\nМест занято: ${used} из ${booking.seats.capacity}`,
+        buildAdminBookingKeyboard(booking.id)
+      );
+      await sendMessage(
+        chatId,
+        t("booking_sent") +
+          t("label_event", { title: event.title }) +
+          t("label_when", { date: formatBookingDate(event.date, lang), time: event.time }) +
+          t("label_total", { total: booking.data.total ? formatPrice(booking.data.total) : t("free") }),
+        mainKeyboard
+      );
+    });
 
-    const chatId = message.chat.id;
-    const text = message.text || "";
+  // === SESSION (shared by USER FLOW and user inline buttons) ===============
+  // Контекст апдейта: { update, origin, chatId, fromId, message, text, button, session, lang, t, setState,
+  // clearState, mainKeyboard, flowKeyboard, exPeopleKeyboard }. setState / clearState заменяют ctx.session
+  // (обработчик, взявший session в начале, после них читает ctx.session); выбор языка меняет ctx.lang.
+  // origin — адрес воркера из запроса webhook (Mini App в меню, ссылка /web).
+  async function createUpdateContext(update, { origin = "" } = {}) {
+    const chatId = getChatId(update);
+    const fromId = getFromId(update);
     const userKey = `user:${chatId}`;
-    const now = Date.now();
 
     // --- Session state in KV (STATE) ---
-    let sessionRaw = await env.STATE.get(userKey);
     let session = {};
+    const sessionRaw = await env.STATE.get(userKey);
     if (sessionRaw) {
       try {
         session = JSON.parse(sessionRaw);
@@ -269,268 +5964,224 @@ export default {
       }
     }
 
-    if (session.expiresAt && now > session.expiresAt) {
+    if (session.expiresAt && Date.now() > session.expiresAt) {
       await env.STATE.delete(userKey);
       session = {};
     }
 
-    async function setState(newState) {
-      newState.expiresAt = Date.now() + 600000; // 10 minutes
-      await env.STATE.put(userKey, JSON.stringify(newState));
-      session = newState;
-    }
-
-    async function clearState() {
-      await env.STATE.delete(userKey);
-      session = {};
-    }
+    const languageCode = update.message?.from?.language_code ?? update.callback_query?.from?.language_code;
+    const message = update.message || null;
+    const text = message?.text || "";
+    const ctx = {
+      update,
+      origin,
+      chatId,
+      fromId,
+      message,
+      text,
+      // Кнопка reply-клавиатуры на любом языке (null — свободный текст)
+      button: resolveButton(text),
+      session,
+      lang: await getUserLang(fromId, languageCode),
+      t: (key, params) => translate(ctx.lang, key, params),
 
-    // --- Keyboards ---
-    function buildMainKeyboard() {
-      const rows = [
-        [{ text: "📅 Записаться на экскурсию" }],
-        [{ text: "🐄 Экскурсии" }, { text: "📅 Расписание" }],
-        [{ text: "🛒 Продукция" }, { text: "📍 Как добраться" }],
-        [{ text: "🔄 Сбросить заявку" }],
-        [{ text: "🏡 Главное меню" }],
-      ];
-      return { keyboard: rows, resize_keyboard: true };
-    }
+      async setState(newState) {
+        newState.expiresAt = Date.now() + 600000; // 10 minutes
+        await env.STATE.put(userKey, JSON.stringify(newState));
+        ctx.session = newState;
+      },
 
-    // Flow keyboard используется ТОЛЬКО во время экскурсионного флоу.
-    // Важно: НЕ использовать remove_keyboard, чтобы пользователь
-    // всегда мог нажать "🔄 Сбросить заявку" или "🏡 Главное меню".
-    function buildFlowKeyboard() {
-      return {
-        keyboard: [[{ text: "🔄 Сбросить заявку" }, { text: "🏡 Главное меню" }]],
-        resize_keyboard: true,
-      };
-    }
+      async clearState() {
+        await env.STATE.delete(userKey);
+        ctx.session = {};
+      },
+    };
+    ctx.mainKeyboard = buildMainKeyboard(ctx);
+    ctx.flowKeyboard = buildFlowKeyboard(ctx);
+    ctx.exPeopleKeyboard = buildExPeopleKeyboard(ctx);
+    return ctx;
+  }
 
+  // === UPDATE HANDLER (webhook) ============================================
+  async function handleUpdate(update, { origin = "" } = {}) {
+    console.log("INCOMING", {
+      updateId: update?.update_id,
+      hasMessage: Boolean(update?.message),
+      hasCallback: Boolean(update?.callback_query),
+      chatId: getChatId(update),
+      fromId: getFromId(update),
+    });
 
-    // Step keyboard for ex_people:
-    // - people selection only (no free input)
-    // - keeps reset/menu always available
-    function buildExPeopleKeyboard() {
-      return {
-        keyboard: [
-          [{ text: "1" }, { text: "2" }, { text: "3" }],
-          [{ text: "4" }, { text: "5" }, { text: "6" }],
-          [{ text: "6–10" }, { text: "более 11" }],
-          [{ text: "🔄 Сбросить заявку" }, { text: "🏡 Главное меню" }],
-        ],
-        resize_keyboard: true,
-      };
+    if (await isDuplicateUpdate(update)) {
+      console.log("DUPLICATE_UPDATE", update.update_id);
+      return new Response("OK");
     }
 
-    const mainKeyboard = buildMainKeyboard();
-    const flowKeyboard = buildFlowKeyboard();
-    const exPeopleKeyboard = buildExPeopleKeyboard();
+    const ctx = await createUpdateContext(update, { origin });
 
-    // --- Global actions (must work in any state) ---
-    // Глобальный сброс заявки. Должен срабатывать В ЛЮБОМ состоянии, включая ex_* шаги.
-    if (text === "🔄 Сбросить заявку") {
-      await clearState();
-      await sendMessage(chatId, "Заявка сброшена. Можете начать заново.", mainKeyboard);
-      return new Response("OK");
-    }
+    // --- Handle callback_query first (user buttons, then ADMIN FLOW) ---
+    if (update.callback_query) {
+      const callbackQuery = update.callback_query;
+      const data = callbackQuery.data || "";
 
-    // Start / main menu (also exits any flow)
-    if (text.startsWith("/start") || text === "🏡 Главное меню") {
-      await clearState();
-      await sendMessage(chatId, "Добро пожаловать на Ферму Голубой Коровы!\n\nВыберите действие:", mainKeyboard);
-      return new Response("OK");
-    }
+      if (await guestCallbacks.dispatch(data, ctx, callbackQuery)) {
+        return new Response("OK");
+      }
 
-    // Info blocks
-    if (text === "🐄 Экскурсии") {
-      await sendMessage(
-        chatId,
-        "Ферма Голубой Коровы приглашает вас на экскурсии:\n\n" +
-          "1) Обзорная экскурсия — 1 час\n" +
-          "— знакомство с коровами, козами, ламами\n" +
-          "— кормление животных\n" +
-          "— прогулка по территории\n\n" +
-          "2) Гастро-тур — 1.5 часа\n" +
-          "— дегустация сыра и свежего молока\n" +
-          "— мини-лекция о сыроварне\n\n" +
-          "3) Семейная экскурсия — 1 час\n" +
-          "— формат для детей\n" +
-          "— дружелюбные животные\n",
-        mainKeyboard
-      );
-      return new Response("OK");
-    }
+      if (!(await hasPermission(callbackQuery.from?.id, "view"))) {
+        await answerCallbackQuery(callbackQuery.id, "Недостаточно прав.");
+        return new Response("OK");
+      }
 
-    if (text === "📅 Расписание") {
-      await sendMessage(
-        chatId,
-        "Экскурсии каждый день по предварительной записи с 10:00 до 18:00.\n" +
-          "Магазин работает с 11:00 до 17:00.\n" +
-          "Бронируйте заранее.",
-        mainKeyboard
-      );
+      if (!(await staffCallbacks.dispatch(data, ctx, callbackQuery))) {
+        await answerCallbackQuery(callbackQuery.id, "Неизвестная команда.");
+      }
       return new Response("OK");
     }
+    // === /ADMIN FLOW =========================================================
 
-    if (text === "📍 Как добраться") {
-      await sendMessage(
-        chatId,
-        "Адрес:\nПсковская область, Печорский район,\nдеревня Подлесье, Центральная 10.\n\n" +
-          "В навигатор: Ферма Голубой Коровы\n" +
-          "От Пскова → 55 минут\nОт Изборска → 20 минут\nОт Печор → 15 минут",
-        mainKeyboard
-      );
+    // === USER FLOW ===========================================================
+    // --- Handle normal messages (other update types are ignored) ---
+    const { message, chatId, text, button, lang, t, mainKeyboard } = ctx;
+    if (!message) {
       return new Response("OK");
     }
 
-    if (text === "🛒 Продукция") {
-      await sendMessage(
-        chatId,
-        "Наша продукция:\n" +
-          "— выдержанные сыры\n— сыры\n— сырники\n— масло сливочное\n— говядина и телятина\n\n" +
-          "Купить можно в фермерском магазине.",
-        mainKeyboard
-      );
+    // Форма Mini App, открытой кнопкой клавиатуры (Telegram.WebApp.sendData).
+    // Сообщение пришло через webhook с секретом, отправитель — message.from: initData здесь не нужен.
+    if (message.web_app_data) {
+      let form = null;
+      try {
+        form = JSON.parse(message.web_app_data.data || "");
+      } catch (e) {
+        console.log("web_app_data parse error", String(e));
+      }
+      const res = form ? await submitAppBooking(form, chatId, lang) : { error: "app_error" };
+      if (!res.booking) {
+        await sendMessage(chatId, t(res.error, res.params), mainKeyboard);
+        return new Response("OK");
+      }
+      await ctx.clearState();
+      await sendMessage(chatId, await formatExcursionSentText(res.booking, lang), mainKeyboard);
       return new Response("OK");
     }
 
-    // --- Excursion booking flow (no capacity control) ---
-    // Вход в экскурсионный сценарий.
-    // ВАЖНО: сразу показываем flow keyboard, чтобы кнопки были доступны с первого шага.
-    if (text === "📅 Записаться на экскурсию") {
-      await setState({ step: "ex_name" });
-      await sendMessage(
-        chatId,
-        "Как вас зовут?\n\nВы можете в любой момент сбросить заявку или вернуться в главное меню.",
-        flowKeyboard
-      );
+    if (await globalButtons.dispatch(button, ctx)) {
       return new Response("OK");
     }
 
-    // Каждый шаг экскурсионного флоу ОБЯЗАН использовать flowKeyboard.
-    // Это гарантирует, что пользователь не застрянет в сценарии.
-    if (session.step === "ex_name") {
-      session.name = text;
-      session.step = "ex_date";
-      await setState(session);
-      await sendMessage(chatId, "На какую дату хотите записаться?", flowKeyboard);
+    const command = text.trim().match(/^(\/\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+    if (command && (await commands.dispatch(command[1].toLowerCase(), ctx, command[2] || ""))) {
       return new Response("OK");
     }
 
-    if (session.step === "ex_date") {
-      session.date = text;
-      session.step = "ex_time";
-      await setState(session);
-      await sendMessage(chatId, "Во сколько? (например, 11:30 / 15:30 (летом))", flowKeyboard);
+    // Сначала — шаги, которые перехватывают ввод раньше кнопок меню, затем меню и шаги диалогов
+    if (await interruptSteps.dispatch(ctx.session.step, ctx)) {
       return new Response("OK");
     }
 
-    if (session.step === "ex_time") {
-      session.time = text;
-      session.step = "ex_people";
-      await setState(session);
-      await sendMessage(chatId, "Сколько гостей будет?", exPeopleKeyboard);
+    if (await menuButtons.dispatch(button, ctx)) {
       return new Response("OK");
     }
 
-    if (session.step === "ex_people") {
-      // Only accept button values
-      const allowed = new Set(["1", "2", "3", "4", "5", "6", "6–10", "более 11"]);
-      if (!allowed.has(text)) {
-        await sendMessage(
-          chatId,
-          "Пожалуйста, выберите количество гостей кнопкой ниже.",
-          exPeopleKeyboard
-        );
-        return new Response("OK");
-      }
-
-      // Keep stored value compatible with existing parseInt behavior downstream
-      // - "6–10" => "6-10"
-      // - "более 11" => "11+"
-      session.people = text === "6–10" ? "6-10" : text === "более 11" ? "11+" : text;
-
-      session.step = "ex_contact";
-      await setState(session);
-      await sendMessage(chatId, "Ваш телефон или Telegram?", flowKeyboard);
+    if (await flowSteps.dispatch(ctx.session.step, ctx)) {
       return new Response("OK");
     }
 
-    if (session.step === "ex_contact") {
-      const contact = (text || "").trim();
-
-      // Validate contact: phone or @telegram
-      // Telegram username: starts with @, [a-zA-Z0-9_], length 5–33 incl. @
-      const isValidTelegram = /^@[a-zA-Z0-9_]{4,32}$/.test(contact);
-
-      // Phone: allow +, spaces, parentheses, hyphens; after stripping non-digits length 10–15
-      const isPhoneLike = /^[0-9+\s()\-]+$/.test(contact);
-      const digitsOnly = contact.replace(/\D/g, "");
-      const isValidPhone = isPhoneLike && digitsOnly.length >= 10 && digitsOnly.length <= 15;
-
-      if (!isValidTelegram && !isValidPhone) {
-        // stay on ex_contact, do not change step
-        await sendMessage(
-          chatId,
-          "Пожалуйста, укажите корректный контакт.\nТелефон (например: +7 999 123-45-67) или Telegram-ник (@username).",
-          flowKeyboard
-        );
-        await sendMessage(chatId, "Ваш телефон или Telegram?", flowKeyboard);
-        return new Response("OK");
-      }
+    // Fallback
+    await sendMessage(chatId, t("fallback"), mainKeyboard);
+    return new Response("OK");
+    // === /USER FLOW ==========================================================
+  }
 
-      session.contact = contact;
+  // Каждый запрос начинает с чистого кэша config:* — бот переживает запрос
+  function perRequest(handler) {
+    return (...args) => {
+      configCache.clear();
+      return handler(...args);
+    };
+  }
 
-      const peopleNum = parseInt(session.people || "0", 10) || 0;
+  return {
+    handleUpdate: perRequest(handleUpdate),
+    runScheduled: perRequest(runScheduled),
+    handleExportRequest: perRequest(handleExportRequest),
+    handleAdminWebRequest: perRequest(handleAdminWebRequest),
+    handleWebAppRequest: perRequest(handleWebAppRequest),
+    createUpdateContext,
+    routers: { guestCallbacks, staffCallbacks, globalButtons, commands, interruptSteps, menuButtons, flowSteps },
+  };
+}
 
-      const bookingData = {
-        type: "excursion",
-        chatId,
-        people: peopleNum,
-        data: {
-          name: session.name,
-          date: session.date,
-          time: session.time,
-          people: session.people,
-          contact: session.contact,
-        },
-      };
+// Обработчики воркера. telegram — подмена клиента Bot API (тесты, test/support/harness.js);
+// по умолчанию createBot создаёт клиент с env.BOT_TOKEN.
+// Бот создаётся один раз на env: изолят переиспользует env между запросами и запусками cron.
+export function createWorker({ telegram } = {}) {
+  const bots = new WeakMap();
+  function getBot(env) {
+    if (!bots.has(env)) bots.set(env, createBot(env, { telegram }));
+    return bots.get(env);
+  }
 
-      const booking = await createBooking(bookingData);
-
-      const msg =
-        "Новая заявка на экскурсию:\n\n" +
-        `ID: ${booking.id}\n` +
-        `Имя: ${session.name}\n` +
-        `Дата: ${session.date}\n` +
-        `Время: ${session.time}\n` +
-        `Гостей: ${session.people}\n` +
-        `Контакт: ${session.contact}`;
-
-      if (env.ADMIN_CHAT_ID) {
-        await callTelegram("sendMessage", {
-          chat_id: env.ADMIN_CHAT_ID,
-          text: msg,
-          reply_markup: buildAdminBookingKeyboard(booking.id),
-        });
-      } else {
-        console.log("ADMIN_CHAT_ID is empty — cannot notify admin");
+  return {
+    async fetch(request, env, ctx) {
+      // SAFETY: never let an unhandled error return 500 to Telegram.
+      // We log the error, but respond 200 OK so Telegram doesn't disable webhook.
+      try {
+        const url = new URL(request.url);
+        // Выгрузка заявок для сотрудников (CSV / iCalendar), защищена EXPORT_TOKEN
+        if (url.pathname === "/export.csv" || url.pathname === "/calendar.ics") {
+          return await getBot(env).handleExportRequest(request, url);
+        }
+        // Mini App: форма записи на экскурсию
+        if (url.pathname === "/app" || url.pathname.startsWith("/app/")) {
+          return await getBot(env).handleWebAppRequest(request, url);
+        }
+        // Веб-панель сотрудников (вход по ссылке из /web)
+        if (url.pathname === "/admin" || url.pathname.startsWith("/admin/")) {
+          return await getBot(env).handleAdminWebRequest(request, url);
+        }
+        // Health check / any other path
+        if (url.pathname !== "/webhook") {
+          return new Response("OK", { status: 200 });
+        }
+        if (request.method !== "POST") {
+          return new Response("Method Not Allowed", { status: 405 });
+        }
+        // Only Telegram knows the secret_token passed to setWebhook.
+        // Without WEBHOOK_SECRET the webhook is closed: forged updates could act as admin.
+        if (!env.WEBHOOK_SECRET) {
+          console.log("WEBHOOK_SECRET is empty — rejecting webhook request");
+          return new Response("Unauthorized", { status: 401 });
+        }
+        if (!safeEqual(request.headers.get("X-Telegram-Bot-Api-Secret-Token"), env.WEBHOOK_SECRET)) {
+          console.log("WEBHOOK secret token mismatch");
+          return new Response("Unauthorized", { status: 401 });
+        }
+        let update;
+        try {
+          update = await request.json();
+        } catch (e) {
+          console.log("JSON error", String(e));
+          return new Response("OK", { status: 200 });
+        }
+        return await getBot(env).handleUpdate(update, { origin: url.origin });
+      } catch (err) {
+        console.log("UNHANDLED_WEBHOOK_ERROR", String(err), err?.stack || "");
+        // IMPORTANT: always 200 OK for Telegram
+        return new Response("OK", { status: 200 });
       }
+    },
 
-      await sendMessage(chatId, "Спасибо! Ваша заявка отправлена. Мы свяжемся с вами для подтверждения.", mainKeyboard);
-      await clearState();
-      return new Response("OK");
-    }
+    // Cron Triggers: напоминания и другие фоновые задачи
+    async scheduled(event, env, ctx) {
+      ctx.waitUntil(
+        getBot(env)
+          .runScheduled(event)
+          .catch((err) => console.log("UNHANDLED_SCHEDULED_ERROR", String(err), err?.stack || ""))
+      );
+    },
+  };
+}
 
-    // Fallback
-    await sendMessage(chatId, "Спасибо! Мы свяжемся с вами.", mainKeyboard);
-    } catch (err) {
-      console.log("UNHANDLED_WEBHOOK_ERROR", String(err), err?.stack || "");
-      // IMPORTANT: always 200 OK for Telegram
-      return new Response("OK", { status: 200 });
-    }
-    return new Response("OK");
-    // === /USER FLOW ==========================================================
-  },
-};
+export default createWorker();